@@ -0,0 +1,112 @@
+/**
+ * Ticket activity log
+ * Turns store diffs into append-only change entries and formats them for
+ * the ticket timeline and the activity feed on Home
+ */
+
+import { formatRecurrence } from './useTicketTemplates.js'
+
+// Fields worth a log entry. Comments and time entries show up as
+// themselves, blockedBy mirrors dependsOn and statusHistory mirrors status.
+export const ACTIVITY_FIELDS = [
+  'title', 'description', 'phaseId', 'epic', 'status', 'priority', 'value',
+  'acceptanceCriteria', 'estimatedHours', 'plannedWeek', 'dependsOn', 'labels',
+  'recurrence'
+]
+
+const FIELD_LABELS = {
+  title: 'titel',
+  description: 'beschrijving',
+  phaseId: 'objective',
+  epic: 'epic',
+  status: 'status',
+  priority: 'prioriteit',
+  value: 'waarde',
+  acceptanceCriteria: 'acceptance criteria',
+  estimatedHours: 'schatting',
+  plannedWeek: 'geplande week',
+  dependsOn: 'afhankelijkheden',
+  labels: 'labels',
+  recurrence: 'herhaling'
+}
+
+// Only the fact that these changed is shown, not the text itself
+const LONG_TEXT_FIELDS = ['description', 'value', 'acceptanceCriteria']
+
+/**
+ * Build log entries from a ticket diff (as produced by the store history)
+ *
+ * @param {Object[]} changes - { before, after, fields } per ticket; before or after is null for created/deleted tickets
+ * @param {Function} stableValue - (field, value) → value that stays meaningful outside this session
+ * @returns {Object[]} - { ticketUuid, ticketNumber, action, field, oldValue, newValue }
+ */
+export function buildActivityEntries(changes, stableValue) {
+  const entries = []
+  changes.forEach(({ before, after, fields }) => {
+    const ticket = after || before
+    const base = { ticketUuid: ticket._uuid, ticketNumber: ticket.ticketNumber }
+    if (!before) {
+      entries.push({ ...base, action: 'created', field: null, oldValue: null, newValue: ticket.title })
+    } else if (!after) {
+      entries.push({ ...base, action: 'deleted', field: null, oldValue: ticket.title, newValue: null })
+    } else {
+      fields.filter(f => ACTIVITY_FIELDS.includes(f)).forEach(field => {
+        entries.push({
+          ...base,
+          action: 'updated',
+          field,
+          oldValue: stableValue(field, before[field]),
+          newValue: stableValue(field, after[field])
+        })
+      })
+    }
+  })
+  return entries
+}
+
+/**
+ * Display text of a logged value
+ *
+ * @param {string} field - Ticket field
+ * @param {*} value - Logged value
+ * @param {Object} context - { getLabel(id), getPhase(id), formatWeek(week) }
+ * @returns {string}
+ */
+export function formatActivityValue(field, value, context) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return '—'
+  switch (field) {
+    case 'phaseId': {
+      const phase = context.getPhase(value)
+      return phase ? phase.name : `Objective ${value}`
+    }
+    case 'labels':
+      return value.map(id => context.getLabel(id)?.name || id).join(', ')
+    case 'dependsOn':
+      return value.join(', ')
+    case 'estimatedHours':
+      return `${value}u`
+    case 'plannedWeek':
+      return context.formatWeek(value)
+    case 'recurrence':
+      return formatRecurrence(value)
+    default:
+      return String(value)
+  }
+}
+
+/**
+ * One-line description of an entry, without user, ticket number and time
+ *
+ * @param {Object} entry - Log entry
+ * @param {Object} context - See formatActivityValue
+ * @returns {string}
+ */
+export function describeActivity(entry, context) {
+  if (entry.action === 'created') return `maakte het ticket aan: "${entry.newValue}"`
+  if (entry.action === 'deleted') return `verwijderde het ticket ("${entry.oldValue}")`
+  const label = FIELD_LABELS[entry.field] || entry.field
+  if (LONG_TEXT_FIELDS.includes(entry.field)) return `wijzigde de ${label}`
+  const from = formatActivityValue(entry.field, entry.oldValue, context)
+  const to = formatActivityValue(entry.field, entry.newValue, context)
+  return `wijzigde ${label}: ${from} → ${to}`
+}
@@ -0,0 +1,107 @@
+/**
+ * Audit log of access to personal data (AVG accountability)
+ * Action definitions, descriptions and the CSV export for the audit page.
+ * Entries are written through `audit()` in accessStore.js.
+ */
+
+// kind: 'read' (personal data shown), 'write' (access or data changed)
+// or 'export' (data left the portal as a file)
+export const AUDIT_ACTIONS = [
+  { value: 'waitlist.view', label: 'Wachtlijst bekeken', kind: 'read' },
+  { value: 'households.view', label: 'Huishoudens bekeken', kind: 'read' },
+  { value: 'household.view', label: 'Huishouden opengeklapt', kind: 'read' },
+  { value: 'analysis.view', label: 'Analysedag bekeken', kind: 'read' },
+  { value: 'identity.reveal', label: 'Identiteit getoond', kind: 'read' },
+  { value: 'privacy.disable', label: 'Privacymodus uitgezet', kind: 'read' },
+  { value: 'project.import', label: 'Project geïmporteerd', kind: 'write' },
+  { value: 'user.save', label: 'Gebruiker toegevoegd of rol gewijzigd', kind: 'write' },
+  { value: 'user.remove', label: 'Toegang ingetrokken', kind: 'write' },
+  { value: 'project.export', label: 'Project geëxporteerd', kind: 'export' },
+  { value: 'gate_report.export', label: 'Gate-rapport gedownload', kind: 'export' },
+  { value: 'audit_log.export', label: 'Auditlog geëxporteerd', kind: 'export' }
+]
+
+export const AUDIT_KINDS = [
+  { value: 'read', label: 'Inzien' },
+  { value: 'write', label: 'Wijzigen' },
+  { value: 'export', label: 'Exporteren' }
+]
+
+/**
+ * @param {string} action - Audit action
+ * @returns {string} - Dutch label
+ */
+export function formatAuditAction(action) {
+  return AUDIT_ACTIONS.find(a => a.value === action)?.label || action
+}
+
+/**
+ * @param {string} action - Audit action
+ * @returns {string|null} - 'read', 'write' or 'export'
+ */
+export function auditKind(action) {
+  return AUDIT_ACTIONS.find(a => a.value === action)?.kind || null
+}
+
+/**
+ * Details of an entry as one line, e.g. "datum: 2026-03-02 · aantal: 41"
+ *
+ * @param {Object|null} details - Logged details
+ * @returns {string}
+ */
+export function formatAuditDetails(details) {
+  if (!details) return ''
+  return Object.entries(details)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' · ')
+}
+
+/**
+ * Entries matching the client-side filters; date range, user and action
+ * are already applied by the query
+ *
+ * @param {Object[]} entries - Audit entries
+ * @param {Object} filters - { kind, search }
+ * @returns {Object[]}
+ */
+export function filterAuditEntries(entries, { kind = '', search = '' } = {}) {
+  const query = search.trim().toLowerCase()
+  return entries.filter(entry => {
+    if (kind && auditKind(entry.action) !== kind) return false
+    if (!query) return true
+    return [entry.user_email, entry.target_label, entry.target_id, formatAuditDetails(entry.details)]
+      .some(value => value && String(value).toLowerCase().includes(query))
+  })
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas; a leading
+// quote makes them text. Labels and details come from user input.
+const FORMULA_PATTERN = /^[=+\-@\t\r]/
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (FORMULA_PATTERN.test(text)) text = `'${text}`
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * CSV with a semicolon separator, which Dutch Excel opens as columns
+ *
+ * @param {Object[]} entries - Audit entries
+ * @returns {string}
+ */
+export function auditLogToCsv(entries) {
+  const header = ['tijdstip', 'gebruiker', 'actie', 'omschrijving', 'type', 'id', 'onderwerp', 'details']
+  const rows = entries.map(entry => [
+    entry.created_at,
+    entry.user_email,
+    entry.action,
+    formatAuditAction(entry.action),
+    entry.target_type,
+    entry.target_id,
+    entry.target_label,
+    formatAuditDetails(entry.details)
+  ])
+  return [header, ...rows].map(row => row.map(csvCell).join(';')).join('\r\n')
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import { auditLogToCsv } from './useAuditLog.js'
+
+const entry = {
+  created_at: '2026-10-19T09:00:00Z',
+  user_email: 'a@voorbeeld.nl',
+  action: 'household.view',
+  target_type: 'household',
+  target_id: '7',
+  target_label: 'Familie Jansen',
+  details: null
+}
+
+function dataRow(csv) {
+  return csv.split('\r\n')[1].split(';')
+}
+
+describe('auditLogToCsv', () => {
+  it('writes one semicolon-separated row per entry', () => {
+    expect(dataRow(auditLogToCsv([entry]))).toEqual([
+      '2026-10-19T09:00:00Z', 'a@voorbeeld.nl', 'household.view', 'Huishouden opengeklapt',
+      'household', '7', 'Familie Jansen', ''
+    ])
+  })
+
+  it.each(['=HYPERLINK("http://x")', '+31 6 1234', '-2+3', '@SUM(A1)'])('neutralises the formula %s', label => {
+    const cell = dataRow(auditLogToCsv([{ ...entry, target_label: label }]))[6]
+
+    expect(cell.replace(/^"|"$/g, '').startsWith("'")).toBe(true)
+  })
+})
@@ -0,0 +1,246 @@
+/**
+ * Purchase categories, recurring costs, currencies and budget forecasts
+ * Used by the project store, the objective page and the roadmap
+ *
+ * A recurring purchase is charged on its start date and then every month
+ * or year until its end date. Spend to date counts the charges so far;
+ * the forecast adds the charges still to come before the deadline and
+ * the recent one-off burn rate.
+ *
+ * Amounts are entered in any currency, incl. or excl. VAT. Totals are in
+ * the project currency, converted with the project's own rate table
+ * (`money`: { currency, rates }, rates[code] = value of 1 unit in the
+ * project currency). Budgets are compared incl. VAT.
+ */
+
+export const PURCHASE_CATEGORIES = [
+  { value: 'hardware', label: 'Hardware' },
+  { value: 'ads', label: 'Advertenties' },
+  { value: 'tooling', label: 'Tooling' },
+  { value: 'services', label: 'Diensten' }
+]
+
+export const PURCHASE_RECURRENCES = [
+  { value: 'monthly', label: 'Maandelijks' },
+  { value: 'yearly', label: 'Jaarlijks' }
+]
+
+export const VAT_RATES = [21, 9, 0]
+
+export const COMMON_CURRENCIES = ['EUR', 'USD', 'GBP']
+
+// One-off purchases in this window set the burn rate
+const BURN_WINDOW_DAYS = 90
+// A short history is spread over at least this many days
+const MIN_BURN_DAYS = 14
+// A forecast above this share of the budget is a warning
+const TIGHT_RATIO = 0.9
+
+/**
+ * @param {string|null} category - Purchase category
+ * @returns {string} - Dutch label, 'Overig' without category
+ */
+export function formatCategory(category) {
+  return PURCHASE_CATEGORIES.find(c => c.value === category)?.label || 'Overig'
+}
+
+/**
+ * @param {string|null} recurrence - 'monthly', 'yearly' or null
+ * @returns {string} - Dutch label, 'Eenmalig' without recurrence
+ */
+export function formatPurchaseRecurrence(recurrence) {
+  return PURCHASE_RECURRENCES.find(r => r.value === recurrence)?.label || 'Eenmalig'
+}
+
+/**
+ * Currencies without a rate in the table; their amounts are counted 1:1
+ *
+ * @param {Object[]} purchases - Store purchases
+ * @param {Object} money - { currency, rates }
+ * @returns {string[]} - Currency codes
+ */
+export function missingRates(purchases, money) {
+  const missing = purchases
+    .map(p => p.currency)
+    .filter(c => c && c !== money.currency && !(money.rates || {})[c])
+  return [...new Set(missing)]
+}
+
+/**
+ * One charge of a purchase in the project currency
+ *
+ * @param {Object} purchase - { amount, currency, vatRate, vatIncluded }
+ * @param {Object} money - { currency, rates }
+ * @param {string} basis - 'incl' or 'excl' VAT
+ * @returns {number}
+ */
+export function chargeAmount(purchase, money, basis = 'incl') {
+  const currency = purchase.currency || money.currency
+  const rate = currency === money.currency ? 1 : (money.rates || {})[currency] || 1
+  const amount = (purchase.amount || 0) * rate
+  const vat = 1 + (purchase.vatRate || 0) / 100
+  // Purchases from before VAT handling were entered incl. VAT
+  const included = purchase.vatIncluded !== false
+  if (basis === 'excl') return included ? amount / vat : amount
+  return included ? amount : amount * vat
+}
+
+/**
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} - e.g. "€ 12,50", "US$ 12,50"
+ */
+export function formatMoney(amount, currency = 'EUR') {
+  if (amount === null || amount === undefined) return '-'
+  return new Intl.NumberFormat('nl-NL', { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount)
+}
+
+export function todayString() {
+  return toDateString(new Date())
+}
+
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+function parseDate(value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / 86400000)
+}
+
+// Day of month is kept where possible: Jan 31 → Feb 28 → Mar 31
+function addMonths(date, months) {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1)
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate()
+  result.setDate(Math.min(date.getDate(), lastDay))
+  return result
+}
+
+/**
+ * Charge dates of a purchase up to and including `until`. One-off
+ * purchases always count once, whatever their date.
+ *
+ * @param {Object} purchase - { date, recurrence, endDate }
+ * @param {string} until - YYYY-MM-DD
+ * @returns {string[]} - YYYY-MM-DD
+ */
+export function purchaseCharges(purchase, until) {
+  if (!purchase.recurrence) return [purchase.date]
+  const last = purchase.endDate && purchase.endDate < until ? purchase.endDate : until
+  const start = parseDate(purchase.date)
+  const step = purchase.recurrence === 'yearly' ? 12 : 1
+  const charges = []
+  for (let i = 0; ; i++) {
+    const charge = toDateString(addMonths(start, i * step))
+    if (charge > last) break
+    charges.push(charge)
+  }
+  return charges
+}
+
+/**
+ * @param {Object} purchase - Store purchase
+ * @param {Object} money - { currency, rates }
+ * @param {string} basis - 'incl' or 'excl' VAT
+ * @param {string} today - YYYY-MM-DD
+ * @returns {number} - Amount spent so far, in the project currency
+ */
+export function purchaseSpent(purchase, money, basis = 'incl', today = todayString()) {
+  return purchaseCharges(purchase, today).length * chargeAmount(purchase, money, basis)
+}
+
+/**
+ * @param {Object[]} purchases - Store purchases
+ * @param {Object} money - { currency, rates }
+ * @param {string} today - YYYY-MM-DD
+ * @returns {number} - Monthly cost incl. VAT of the subscriptions still running
+ */
+export function monthlyRecurringCost(purchases, money, today = todayString()) {
+  return purchases
+    .filter(p => p.recurrence && (!p.endDate || p.endDate >= today))
+    .reduce((sum, p) => sum + chargeAmount(p, money) / (p.recurrence === 'yearly' ? 12 : 1), 0)
+}
+
+/**
+ * @param {Object[]} purchases - Store purchases
+ * @param {Object} money - { currency, rates }
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object[]} - [{ category, label, amount }] incl. VAT, largest first
+ */
+export function spendByCategory(purchases, money, today = todayString()) {
+  const totals = new Map()
+  purchases.forEach(p => {
+    const key = p.category || null
+    totals.set(key, (totals.get(key) || 0) + purchaseSpent(p, money, 'incl', today))
+  })
+  return [...totals.entries()]
+    .filter(([, amount]) => amount > 0)
+    .map(([category, amount]) => ({ category, label: formatCategory(category), amount }))
+    .sort((a, b) => b.amount - a.amount)
+}
+
+/**
+ * @param {number} spent - Spent so far
+ * @param {number} forecast - Projected spend at the deadline
+ * @param {number|null} budget - Phase budget
+ * @returns {string|null} - 'over', 'forecast-over', 'tight', 'ok' or null without budget
+ */
+export function budgetStatus(spent, forecast, budget) {
+  if (!budget) return null
+  if (spent > budget) return 'over'
+  if (forecast > budget) return 'forecast-over'
+  if (forecast > budget * TIGHT_RATIO) return 'tight'
+  return 'ok'
+}
+
+/**
+ * Spend projected at the phase deadline, incl. VAT. Without an upcoming
+ * deadline (none set, passed or phase finished) the forecast is the
+ * spend so far.
+ *
+ * @param {Object} phase - Store phase
+ * @param {Object} money - { currency, rates }
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} - { spent, spentExcl, forecast, budget, dailyRate, recurringPerMonth, targetDate, status }
+ */
+export function forecastPhaseBudget(phase, money, today = todayString()) {
+  const purchases = phase.purchases || []
+  const spent = purchases.reduce((sum, p) => sum + purchaseSpent(p, money, 'incl', today), 0)
+  const spentExcl = purchases.reduce((sum, p) => sum + purchaseSpent(p, money, 'excl', today), 0)
+
+  const oneOffs = purchases.filter(p => !p.recurrence && p.date <= today)
+  const windowStart = oneOffs.reduce((earliest, p) => p.date < earliest ? p.date : earliest, today)
+  const cutoff = toDateString(new Date(parseDate(today).getTime() - BURN_WINDOW_DAYS * 86400000))
+  const from = windowStart > cutoff ? windowStart : cutoff
+  const recentSpend = oneOffs.filter(p => p.date >= from).reduce((sum, p) => sum + chargeAmount(p, money), 0)
+  const dailyRate = recentSpend / Math.max(MIN_BURN_DAYS, daysBetween(from, today))
+
+  const targetDate = phase.targetDate && phase.status !== 'afgerond' && phase.targetDate.slice(0, 10) > today
+    ? phase.targetDate.slice(0, 10)
+    : null
+  let forecast = spent
+  if (targetDate) {
+    const upcomingCharges = purchases
+      .filter(p => p.recurrence)
+      .reduce((sum, p) => sum + (purchaseCharges(p, targetDate).length - purchaseCharges(p, today).length) * chargeAmount(p, money), 0)
+    forecast = spent + upcomingCharges + dailyRate * daysBetween(today, targetDate)
+  }
+
+  const budget = phase.budget ?? null
+  return {
+    spent,
+    spentExcl,
+    forecast: Math.round(forecast * 100) / 100,
+    budget,
+    dailyRate,
+    recurringPerMonth: monthlyRecurringCost(purchases, money, today),
+    targetDate,
+    status: budgetStatus(spent, forecast, budget)
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Burndown, burnup and velocity from ticket status history
+ * Used by the phase detail page
+ *
+ * Each ticket keeps `statusHistory: [{ from, to, at }]`. Tickets that
+ * were done before history was recorded count as done since createdAt.
+ */
+
+const DAY_MS = 86400000
+const WEEK_MS = 7 * DAY_MS
+
+/**
+ * Status of a ticket at a moment, or null when it didn't exist yet
+ *
+ * @param {Object} ticket - Store ticket
+ * @param {Date} date - Moment
+ * @returns {string|null}
+ */
+export function statusAt(ticket, date) {
+  if (ticket.createdAt && new Date(ticket.createdAt) > date) return null
+  const history = ticket.statusHistory || []
+  let status = history.length ? history[0].from : ticket.status
+  for (const transition of history) {
+    if (new Date(transition.at) > date) break
+    status = transition.to
+  }
+  return status
+}
+
+/**
+ * Moment a ticket was last marked done, or null
+ *
+ * @param {Object} ticket - Store ticket
+ * @returns {Date|null}
+ */
+export function doneAt(ticket) {
+  if (ticket.status !== 'done') return null
+  const history = ticket.statusHistory || []
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].to === 'done') return new Date(history[i].at)
+  }
+  return ticket.createdAt ? new Date(ticket.createdAt) : null
+}
+
+// Monday 00:00 (local time) of the week containing date
+function startOfWeek(date) {
+  const d = new Date(date)
+  d.setHours(0, 0, 0, 0)
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7))
+  return d
+}
+
+/**
+ * Scope and done work per week, from the week of the first ticket up to now
+ *
+ * @param {Object[]} tickets - Tickets of one phase
+ * @param {Date} now - End of the series
+ * @returns {Object[]} - { date, scopeCount, doneCount, scopeHours, doneHours }
+ */
+export function buildBurnSeries(tickets, now = new Date()) {
+  if (tickets.length === 0) return []
+  const created = tickets.map(t => (t.createdAt ? new Date(t.createdAt) : now))
+  const start = startOfWeek(new Date(Math.min(...created)))
+
+  const points = []
+  for (let date = new Date(start.getTime() + WEEK_MS - 1); date < now; date = new Date(date.getTime() + WEEK_MS)) {
+    points.push(date)
+  }
+  points.push(now)
+
+  return points.map(date => {
+    const point = { date, scopeCount: 0, doneCount: 0, scopeHours: 0, doneHours: 0 }
+    tickets.forEach(ticket => {
+      const status = statusAt(ticket, date)
+      if (status === null) return
+      const hours = ticket.estimatedHours || 0
+      point.scopeCount++
+      point.scopeHours += hours
+      if (status === 'done') {
+        point.doneCount++
+        point.doneHours += hours
+      }
+    })
+    return point
+  })
+}
+
+/**
+ * Average completed work per week over the last full weeks
+ *
+ * @param {Object[]} tickets - Tickets of one phase
+ * @param {number} weeks - Number of full weeks to average over
+ * @param {Date} now - Reference moment
+ * @returns {{ count: number, hours: number, perWeek: Object[] }} - perWeek: { start, count, hours }, oldest first
+ */
+export function computeVelocity(tickets, weeks = 4, now = new Date()) {
+  const thisWeek = startOfWeek(now)
+  const perWeek = Array.from({ length: weeks }, (_, i) => ({
+    start: new Date(thisWeek.getTime() - (weeks - i) * WEEK_MS),
+    count: 0,
+    hours: 0
+  }))
+
+  tickets.forEach(ticket => {
+    // Only recorded transitions count; the createdAt fallback would
+    // pile up old work in the first weeks
+    const at = doneAt(ticket)
+    if (!at || !(ticket.statusHistory || []).length) return
+    const week = perWeek.find(w => at >= w.start && at < new Date(w.start.getTime() + WEEK_MS))
+    if (!week) return
+    week.count++
+    week.hours += ticket.estimatedHours || 0
+  })
+
+  return {
+    count: perWeek.reduce((sum, w) => sum + w.count, 0) / weeks,
+    hours: perWeek.reduce((sum, w) => sum + w.hours, 0) / weeks,
+    perWeek
+  }
+}
+
+/**
+ * Projected completion from the remaining work and a weekly velocity
+ *
+ * @param {number} remaining - Remaining tickets or hours
+ * @param {number} velocity - Completed tickets or hours per week
+ * @param {Date} now - Reference moment
+ * @returns {Date|null} - Null when nothing remains or there is no velocity
+ */
+export function projectCompletion(remaining, velocity, now = new Date()) {
+  if (remaining <= 0 || velocity <= 0) return null
+  return new Date(now.getTime() + (remaining / velocity) * WEEK_MS)
+}
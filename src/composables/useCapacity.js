@@ -0,0 +1,141 @@
+/**
+ * Weekly capacity planning
+ * Compares planned estimatedHours per ISO week with the project's hour
+ * budget and spreads lower-priority work over later weeks (auto-level)
+ */
+
+import { addIsoWeeks } from './useIsoWeek.js'
+
+export const DEFAULT_WEEKLY_CAPACITY = 40
+
+// Only unstarted tickets with these priorities are moved by auto-level,
+// lowest priority first
+const LEVELABLE_PRIORITIES = ['nice', 'should']
+
+/**
+ * Hours available in a week: the exception for that week (holidays),
+ * otherwise the regular weekly capacity
+ *
+ * @param {string} week - ISO week value
+ * @param {Object} capacity - { weeklyHours, exceptions: { [week]: hours } }
+ * @returns {number}
+ */
+export function getWeekCapacity(week, capacity) {
+  const exception = capacity?.exceptions?.[week]
+  if (exception !== undefined && exception !== null) return exception
+  return capacity?.weeklyHours ?? DEFAULT_WEEKLY_CAPACITY
+}
+
+/**
+ * Sum of estimated hours per planned week. Done tickets still count,
+ * since their hours were spent in that week.
+ *
+ * @param {Object[]} tickets - Store tickets
+ * @returns {Object} - { [week]: hours }
+ */
+export function getPlannedHoursByWeek(tickets) {
+  const hours = {}
+  tickets.forEach(t => {
+    if (!t.plannedWeek) return
+    hours[t.plannedWeek] = (hours[t.plannedWeek] || 0) + (t.estimatedHours || 0)
+  })
+  return hours
+}
+
+/**
+ * Load of a single week
+ *
+ * @param {number} planned - Planned hours
+ * @param {number} available - Capacity in hours
+ * @returns {{ planned: number, capacity: number, percentage: number, overload: number }}
+ */
+export function getWeekLoad(planned, available) {
+  return {
+    planned,
+    capacity: available,
+    percentage: available > 0 ? Math.round((planned / available) * 100) : (planned > 0 ? Infinity : 0),
+    overload: Math.max(0, planned - available)
+  }
+}
+
+function isLevelable(ticket, fromWeek) {
+  return ticket.status === 'todo' &&
+    LEVELABLE_PRIORITIES.includes(ticket.priority) &&
+    ticket.estimatedHours > 0 &&
+    ticket.plannedWeek >= fromWeek
+}
+
+/**
+ * Plan moves that bring overloaded weeks back within capacity
+ *
+ * Weeks are handled in order from `fromWeek`. In an overloaded week the
+ * lowest-priority unstarted ticket moves to the first later week with room
+ * for it. A ticket never moves before an unfinished dependency's week nor
+ * past the week of a ticket waiting for it. Must-tickets and started work
+ * stay where they are, so a week can remain overloaded.
+ *
+ * @param {Object[]} tickets - Store tickets
+ * @param {Object} capacity - { weeklyHours, exceptions }
+ * @param {string} fromWeek - First ISO week to level (usually the current one)
+ * @param {number} horizon - Number of weeks a ticket may be pushed into
+ * @returns {{ moves: Object[], overloaded: Object[] }} - moves: { id, from, to };
+ *   overloaded: { week, overload } left after leveling
+ */
+export function planAutoLevel(tickets, capacity, fromWeek, horizon = 26) {
+  const weekOf = new Map(tickets.map(t => [t.id, t.plannedWeek]))
+  const byId = new Map(tickets.map(t => [t.id, t]))
+  const load = getPlannedHoursByWeek(tickets)
+  const lastWeek = addIsoWeeks(fromWeek, horizon - 1)
+  const moves = new Map()
+
+  const room = week => getWeekCapacity(week, capacity) - (load[week] || 0)
+
+  // Latest unfinished dependency week and earliest dependent week
+  const bounds = ticket => {
+    let earliest = null
+    ;(ticket.dependsOn || []).forEach(depId => {
+      const dep = byId.get(depId)
+      const week = weekOf.get(depId)
+      if (dep && dep.status !== 'done' && week && (!earliest || week > earliest)) earliest = week
+    })
+    let latest = lastWeek
+    tickets.forEach(t => {
+      const week = weekOf.get(t.id)
+      if (t.status !== 'done' && week && (t.dependsOn || []).includes(ticket.id) && week < latest) latest = week
+    })
+    return { earliest, latest }
+  }
+
+  for (let week = fromWeek; week <= lastWeek; week = addIsoWeeks(week, 1)) {
+    const candidates = tickets
+      .filter(t => weekOf.get(t.id) === week && isLevelable(t, fromWeek))
+      .sort((a, b) =>
+        LEVELABLE_PRIORITIES.indexOf(a.priority) - LEVELABLE_PRIORITIES.indexOf(b.priority) ||
+        b.ticketNumber.localeCompare(a.ticketNumber)
+      )
+
+    for (const ticket of candidates) {
+      if (room(week) >= 0) break
+      const { earliest, latest } = bounds(ticket)
+      let target = addIsoWeeks(week, 1)
+      if (earliest && earliest > target) target = earliest
+      while (target <= latest && room(target) < ticket.estimatedHours) {
+        target = addIsoWeeks(target, 1)
+      }
+      if (target > latest) continue
+
+      load[week] -= ticket.estimatedHours
+      load[target] = (load[target] || 0) + ticket.estimatedHours
+      weekOf.set(ticket.id, target)
+      const from = moves.get(ticket.id)?.from ?? week
+      moves.set(ticket.id, { id: ticket.id, from, to: target })
+    }
+  }
+
+  const overloaded = []
+  for (let week = fromWeek; week <= lastWeek; week = addIsoWeeks(week, 1)) {
+    if (room(week) < 0) overloaded.push({ week, overload: -room(week) })
+  }
+
+  return { moves: [...moves.values()], overloaded }
+}
@@ -0,0 +1,143 @@
+/**
+ * Go/no-go criteria linked to live metrics
+ * A criterion with `metric: { source, comparison, target }` is evaluated
+ * against the current value instead of being ticked by hand. Values are
+ * shared between pages and fetched again after a few minutes.
+ */
+
+import { reactive } from 'vue'
+import { getWaitlistSignups, getAnalyticsData } from '../services/supabase'
+
+export const METRIC_SOURCES = [
+  { value: 'waitlist.total', label: 'Wachtlijst aanmeldingen' },
+  { value: 'waitlist.confirmed', label: 'Bevestigde wachtlijst aanmeldingen' },
+  { value: 'ga4.users', label: 'Websitebezoekers (30 dagen)' },
+  { value: 'ga4.sessions', label: 'Sessies (30 dagen)' },
+  { value: 'ga4.pageviews', label: 'Paginaweergaven (30 dagen)' }
+]
+
+export const METRIC_COMPARISONS = [
+  { value: '>=', label: '≥' },
+  { value: '>', label: '>' },
+  { value: '=', label: '=' },
+  { value: '<=', label: '≤' },
+  { value: '<', label: '<' }
+]
+
+const MAX_AGE_MS = 5 * 60 * 1000
+
+export const metricState = reactive({
+  values: {}, // source → number
+  errors: {}, // source group → Dutch message
+  loading: false
+})
+
+const loadedAt = {}
+
+// One request per group fills all of its sources
+const loaders = {
+  async waitlist() {
+    const signups = await getWaitlistSignups()
+    return {
+      'waitlist.total': signups.length,
+      'waitlist.confirmed': signups.filter(s => s.confirmed).length
+    }
+  },
+  async ga4() {
+    const res = await getAnalyticsData('30')
+    if (!res.success) throw new Error(res.error === 'NOT_CONFIGURED' ? 'GA4 is niet gekoppeld' : res.error)
+    const totals = res.data?.totals || {}
+    return {
+      'ga4.users': totals.users ?? null,
+      'ga4.sessions': totals.sessions ?? null,
+      'ga4.pageviews': totals.pageviews ?? null
+    }
+  }
+}
+
+function groupOf(source) {
+  return source.split('.')[0]
+}
+
+/**
+ * Fetch the values of the given sources, unless fetched recently
+ *
+ * @param {string[]} sources - Metric sources
+ * @param {Object} options - { force } to ignore the cache
+ * @returns {Promise<Object>} - metricState.values
+ */
+export async function loadMetricValues(sources, { force = false } = {}) {
+  const groups = [...new Set(sources.map(groupOf))]
+    .filter(g => loaders[g] && (force || !loadedAt[g] || Date.now() - loadedAt[g] > MAX_AGE_MS))
+  if (groups.length === 0) return metricState.values
+
+  metricState.loading = true
+  await Promise.all(groups.map(async group => {
+    try {
+      Object.assign(metricState.values, await loaders[group]())
+      delete metricState.errors[group]
+      loadedAt[group] = Date.now()
+    } catch (e) {
+      console.error(`Failed to load ${group} metrics:`, e)
+      metricState.errors[group] = e.message
+    }
+  }))
+  metricState.loading = false
+  return metricState.values
+}
+
+/**
+ * @param {number} value - Current value
+ * @param {string} comparison - One of METRIC_COMPARISONS
+ * @param {number} target - Target value
+ * @returns {boolean}
+ */
+export function compareMetric(value, comparison, target) {
+  switch (comparison) {
+    case '>': return value > target
+    case '=': return value === target
+    case '<=': return value <= target
+    case '<': return value < target
+    default: return value >= target
+  }
+}
+
+/**
+ * Current value of a criterion's metric and whether it meets the target
+ *
+ * @param {Object} metric - { source, comparison, target }
+ * @param {Object} values - source → number
+ * @returns {{ value: number|null, met: boolean|null }} - null while the value is unknown
+ */
+export function evaluateMetric(metric, values) {
+  const value = values[metric.source]
+  if (value === undefined || value === null) return { value: null, met: null }
+  return { value, met: compareMetric(value, metric.comparison, metric.target) }
+}
+
+/**
+ * @param {Object} metric - { source, comparison, target }
+ * @returns {string} - e.g. "≥ 50"
+ */
+export function formatMetricTarget(metric) {
+  const comparison = METRIC_COMPARISONS.find(c => c.value === metric.comparison)?.label || metric.comparison
+  return `${comparison} ${metric.target.toLocaleString('nl-NL')}`
+}
+
+/**
+ * @param {string} source - Metric source
+ * @returns {string} - Dutch label
+ */
+export function metricSourceLabel(source) {
+  return METRIC_SOURCES.find(s => s.value === source)?.label || source
+}
+
+/**
+ * Error of the group a source belongs to, if its last fetch failed
+ *
+ * @param {string} source - Metric source
+ * @returns {string|null}
+ */
+export function metricError(source) {
+  return metricState.errors[groupOf(source)] || null
+}
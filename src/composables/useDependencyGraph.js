@@ -0,0 +1,180 @@
+/**
+ * Ticket dependency graph utilities
+ * Used by the store (cycle refusal), the Tickets edit modal and the
+ * dependency view in Planning
+ *
+ * `dependsOn` is the source of truth: an edge runs from the dependency to
+ * the ticket that waits for it.
+ */
+
+/**
+ * Build adjacency lists from tickets. Links to tickets outside the list
+ * are ignored, so a subset (e.g. one phase) yields its own subgraph.
+ *
+ * @param {Object[]} tickets - Store tickets
+ * @returns {{ ids: number[], successors: Map, predecessors: Map, edges: Object[] }}
+ */
+export function buildDependencyGraph(tickets) {
+  const ids = tickets.map(t => t.id)
+  const known = new Set(ids)
+  const successors = new Map(ids.map(id => [id, []]))
+  const predecessors = new Map(ids.map(id => [id, []]))
+  const edges = []
+
+  tickets.forEach(t => {
+    ;(t.dependsOn || []).forEach(depId => {
+      if (!known.has(depId) || predecessors.get(t.id).includes(depId)) return
+      successors.get(depId).push(t.id)
+      predecessors.get(t.id).push(depId)
+      edges.push({ from: depId, to: t.id })
+    })
+  })
+
+  return { ids, successors, predecessors, edges }
+}
+
+/**
+ * Find dependency cycles (strongly connected components, Tarjan)
+ *
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @returns {number[][]} - Ticket ids per cycle
+ */
+export function findCycles(graph) {
+  let index = 0
+  const indices = new Map()
+  const lowLinks = new Map()
+  const stack = []
+  const onStack = new Set()
+  const cycles = []
+
+  function visit(id) {
+    indices.set(id, index)
+    lowLinks.set(id, index)
+    index++
+    stack.push(id)
+    onStack.add(id)
+
+    graph.successors.get(id).forEach(next => {
+      if (!indices.has(next)) {
+        visit(next)
+        lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(next)))
+      } else if (onStack.has(next)) {
+        lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(next)))
+      }
+    })
+
+    if (lowLinks.get(id) === indices.get(id)) {
+      const component = []
+      let member
+      do {
+        member = stack.pop()
+        onStack.delete(member)
+        component.push(member)
+      } while (member !== id)
+      const selfLoop = graph.successors.get(id).includes(id)
+      if (component.length > 1 || selfLoop) cycles.push(component.reverse())
+    }
+  }
+
+  graph.ids.forEach(id => {
+    if (!indices.has(id)) visit(id)
+  })
+  return cycles
+}
+
+/**
+ * Whether making `ticketId` depend on `dependsOnId` closes a cycle, i.e.
+ * `dependsOnId` already waits (transitively) for `ticketId`
+ *
+ * @param {Object[]} tickets - Store tickets
+ * @param {number} ticketId - Ticket that gets the dependency
+ * @param {number} dependsOnId - Ticket it would depend on
+ * @returns {boolean}
+ */
+export function wouldCreateCycle(tickets, ticketId, dependsOnId) {
+  if (ticketId === dependsOnId) return true
+  const graph = buildDependencyGraph(tickets)
+  if (!graph.successors.has(ticketId)) return false
+
+  const seen = new Set([ticketId])
+  const queue = [ticketId]
+  while (queue.length > 0) {
+    const id = queue.shift()
+    for (const next of graph.successors.get(id)) {
+      if (next === dependsOnId) return true
+      if (!seen.has(next)) {
+        seen.add(next)
+        queue.push(next)
+      }
+    }
+  }
+  return false
+}
+
+// Kahn's algorithm; tickets inside a cycle never reach in-degree 0 and
+// are left out of the order
+function topologicalOrder(graph) {
+  const inDegree = new Map(graph.ids.map(id => [id, graph.predecessors.get(id).length]))
+  const queue = graph.ids.filter(id => inDegree.get(id) === 0)
+  const order = []
+  while (queue.length > 0) {
+    const id = queue.shift()
+    order.push(id)
+    graph.successors.get(id).forEach(next => {
+      inDegree.set(next, inDegree.get(next) - 1)
+      if (inDegree.get(next) === 0) queue.push(next)
+    })
+  }
+  return order
+}
+
+/**
+ * Column per ticket for a left-to-right layout: the length of the longest
+ * dependency chain leading to it. Tickets in a cycle go one column after
+ * their placed dependencies.
+ *
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @returns {Map<number, number>} - Ticket id → column
+ */
+export function computeLayers(graph) {
+  const layers = new Map()
+  const order = topologicalOrder(graph)
+  order.forEach(id => {
+    const preds = graph.predecessors.get(id)
+    layers.set(id, preds.length ? Math.max(...preds.map(p => layers.get(p))) + 1 : 0)
+  })
+  graph.ids.filter(id => !layers.has(id)).forEach(id => {
+    const placed = graph.predecessors.get(id).filter(p => layers.has(p))
+    layers.set(id, placed.length ? Math.max(...placed.map(p => layers.get(p))) + 1 : 0)
+  })
+  return layers
+}
+
+/**
+ * Longest path through the graph, weighted per ticket
+ *
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @param {Function} weightOf - Ticket id → weight (e.g. remaining hours)
+ * @returns {{ path: number[], weight: number }} - Ids in dependency order
+ */
+export function findCriticalPath(graph, weightOf) {
+  const distance = new Map()
+  const previous = new Map()
+  let end = null
+
+  topologicalOrder(graph).forEach(id => {
+    let best = null
+    graph.predecessors.get(id).forEach(p => {
+      if (distance.has(p) && (best === null || distance.get(p) > distance.get(best))) best = p
+    })
+    distance.set(id, weightOf(id) + (best !== null ? distance.get(best) : 0))
+    previous.set(id, best)
+    if (end === null || distance.get(id) > distance.get(end)) end = id
+  })
+
+  const path = []
+  for (let id = end; id !== null && id !== undefined; id = previous.get(id)) {
+    path.unshift(id)
+  }
+  return { path, weight: end !== null ? distance.get(end) : 0 }
+}
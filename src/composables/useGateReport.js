@@ -0,0 +1,135 @@
+/**
+ * Go/no-go gate snapshots and reports
+ * The store records a snapshot with every decision; the phase detail page
+ * turns a decision into a standalone HTML report (print → PDF)
+ */
+
+/**
+ * State of a phase at decision time
+ *
+ * @param {Object} phase - Store phase
+ * @param {number} spent - Spent budget of the phase
+ * @param {Object[]} tickets - Tickets of the phase
+ * @returns {Object} - { goal, measurement, targetDate, noGoAction, criteria, criteriaDone, budget, spent, ticketsDone, ticketsTotal }
+ */
+export function buildGateSnapshot(phase, spent, tickets) {
+  const criteria = (phase.goNoGoCriteria || []).map(c => ({ id: c.id, description: c.description, completed: c.completed }))
+  return {
+    goal: phase.goal || '',
+    measurement: phase.measurement || '',
+    targetDate: phase.targetDate || null,
+    noGoAction: phase.noGoAction || '',
+    criteria,
+    criteriaDone: criteria.filter(c => c.completed).length,
+    budget: phase.budget ?? null,
+    spent,
+    ticketsDone: tickets.filter(t => t.status === 'done').length,
+    ticketsTotal: tickets.length
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function formatDate(value, withTime = false) {
+  if (!value) return '—'
+  return new Date(value).toLocaleDateString('nl-NL', withTime
+    ? { day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { day: 'numeric', month: 'long', year: 'numeric' })
+}
+
+const REPORT_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #111827; max-width: 760px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 1.05rem; margin: 1.75rem 0 0.5rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+  .subtitle { color: #6b7280; margin: 0; }
+  .decision { display: inline-block; margin: 1rem 0 0.5rem; padding: 0.25rem 0.75rem; border-radius: 4px; font-weight: 700; }
+  .decision.go { background: #d1fae5; color: #047857; }
+  .decision.no-go { background: #fee2e2; color: #b91c1c; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.375rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { width: 35%; color: #6b7280; font-weight: 500; }
+  .met { color: #047857; font-weight: 700; }
+  .not-met { color: #b91c1c; font-weight: 700; }
+  .notes { white-space: pre-wrap; background: #f9fafb; padding: 0.75rem; border-radius: 6px; }
+  footer { margin-top: 2.5rem; font-size: 0.75rem; color: #9ca3af; }
+  @media print { body { margin: 0 auto; } }
+`
+
+/**
+ * Standalone HTML document for one decision
+ *
+ * @param {Object} options - { projectName, phase, decision, history, formatCurrency }
+ *   history: all decisions of the phase, oldest first, including `decision`
+ * @returns {string} - HTML document
+ */
+export function buildGateReportHtml({ projectName, phase, decision, history, formatCurrency }) {
+  const s = decision.snapshot
+  const label = decision.decision === 'go' ? 'GO' : 'NO-GO'
+  const row = (th, td) => `<tr><th>${escapeHtml(th)}</th><td>${td}</td></tr>`
+
+  const sections = [
+    `<h1>Gate-rapport: ${escapeHtml(`${phase.id}. ${phase.name}`)}</h1>`,
+    `<p class="subtitle">${escapeHtml(projectName)}</p>`,
+    `<div class="decision ${decision.decision === 'go' ? 'go' : 'no-go'}">${label}</div>`,
+    '<table>',
+    row('Besluit genomen op', escapeHtml(formatDate(decision.date, true))),
+    row('Door', escapeHtml(decision.decidedBy || 'Onbekend')),
+    '</table>'
+  ]
+  if (decision.notes) sections.push('<h2>Notities</h2>', `<div class="notes">${escapeHtml(decision.notes)}</div>`)
+
+  if (!s) {
+    sections.push('<p class="subtitle">Dit besluit is vastgelegd voordat er momentopnames werden bewaard.</p>')
+  } else {
+    sections.push(
+      '<h2>Doel en meting</h2>',
+      '<table>',
+      row('Doel', escapeHtml(s.goal || '—')),
+      row('Meting', escapeHtml(s.measurement || '—')),
+      row('Deadline', escapeHtml(formatDate(s.targetDate))),
+      row('Bij no-go', escapeHtml(s.noGoAction || '—')),
+      '</table>',
+      `<h2>Criteria (${s.criteriaDone} van ${s.criteria.length} voldaan)</h2>`,
+      '<table>',
+      ...s.criteria.map(c => `<tr><td>${escapeHtml(c.description)}</td><td class="${c.completed ? 'met' : 'not-met'}">${c.completed ? '✓ voldaan' : '✗ niet voldaan'}</td></tr>`),
+      '</table>',
+      '<h2>Budget en voortgang</h2>',
+      '<table>',
+      row('Budget', escapeHtml(formatCurrency(s.budget))),
+      row('Besteed', escapeHtml(formatCurrency(s.spent))),
+      row('Resterend', s.budget === null ? '—' : escapeHtml(formatCurrency(s.budget - s.spent))),
+      row('Tickets afgerond', `${s.ticketsDone} van ${s.ticketsTotal}`),
+      '</table>'
+    )
+  }
+
+  const earlier = history.slice(0, Math.max(0, history.indexOf(decision)))
+  if (earlier.length) {
+    sections.push(
+      '<h2>Eerdere besluiten</h2>',
+      '<table>',
+      ...earlier.map(d => row(formatDate(d.date), `${d.decision === 'go' ? 'GO' : 'NO-GO'}${d.notes ? ` — ${escapeHtml(d.notes)}` : ''}`)),
+      '</table>'
+    )
+  }
+
+  sections.push(`<footer>Gegenereerd op ${escapeHtml(formatDate(new Date(), true))}</footer>`)
+
+  return `<!DOCTYPE html>
+<html lang="nl">
+<head>
+<meta charset="utf-8">
+<title>Gate-rapport ${escapeHtml(phase.name)} — ${label} ${escapeHtml(formatDate(decision.date))}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>`
+}
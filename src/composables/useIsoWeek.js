@@ -0,0 +1,176 @@
+/**
+ * ISO-8601 week utilities
+ * Planned weeks are stored as ISO year-week strings ("2026-W43"), which
+ * sort correctly as plain strings across year boundaries
+ */
+
+const DAY_MS = 86400000
+const WEEK_PATTERN = /^(\d{4})-W(\d{2})$/
+
+function pad(n) {
+  return String(n).padStart(2, '0')
+}
+
+/**
+ * ISO year and week of a date. The ISO year can differ from the calendar
+ * year in the first and last days of the year.
+ *
+ * @param {Date|string} date - Date or date string
+ * @returns {{ year: number, week: number }}
+ */
+export function getIsoWeek(date) {
+  const d = new Date(date)
+  const day = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()))
+  // Thursday of this week decides the year
+  const weekday = day.getUTCDay() || 7
+  day.setUTCDate(day.getUTCDate() + 4 - weekday)
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1))
+  return {
+    year: day.getUTCFullYear(),
+    week: Math.ceil(((day - yearStart) / DAY_MS + 1) / 7)
+  }
+}
+
+/**
+ * @param {number} year - ISO year
+ * @param {number} week - Week number
+ * @returns {string} - e.g. "2026-W43"
+ */
+export function formatIsoWeekValue(year, week) {
+  return `${year}-W${pad(week)}`
+}
+
+/**
+ * @param {Date|string} date - Date or date string
+ * @returns {string} - ISO week value of the date
+ */
+export function toIsoWeek(date) {
+  const { year, week } = getIsoWeek(date)
+  return formatIsoWeekValue(year, week)
+}
+
+/**
+ * @returns {string} - ISO week value of today
+ */
+export function currentIsoWeek() {
+  return toIsoWeek(new Date())
+}
+
+/**
+ * @param {string} value - ISO week value
+ * @returns {{ year: number, week: number }|null} - Null when malformed
+ */
+export function parseIsoWeek(value) {
+  const match = typeof value === 'string' && value.match(WEEK_PATTERN)
+  if (!match) return null
+  const year = parseInt(match[1])
+  const week = parseInt(match[2])
+  if (week < 1 || week > isoWeeksInYear(year)) return null
+  return { year, week }
+}
+
+/**
+ * @param {*} value - Anything
+ * @returns {boolean} - Whether it is a valid ISO week value
+ */
+export function isIsoWeek(value) {
+  return parseIsoWeek(value) !== null
+}
+
+/**
+ * Number of ISO weeks in a year (52 or 53)
+ *
+ * @param {number} year - ISO year
+ * @returns {number}
+ */
+export function isoWeeksInYear(year) {
+  // December 28 is always in the last week of its ISO year
+  return getIsoWeek(new Date(year, 11, 28)).week
+}
+
+/**
+ * Monday (local time) of an ISO week
+ *
+ * @param {string} value - ISO week value
+ * @returns {Date|null}
+ */
+export function isoWeekStart(value) {
+  const parsed = parseIsoWeek(value)
+  if (!parsed) return null
+  const jan4 = new Date(parsed.year, 0, 4)
+  const monday = new Date(jan4)
+  monday.setDate(jan4.getDate() - ((jan4.getDay() + 6) % 7) + (parsed.week - 1) * 7)
+  return monday
+}
+
+/**
+ * @param {string} value - ISO week value
+ * @param {number} weeks - Weeks to add (may be negative)
+ * @returns {string} - Resulting ISO week value
+ */
+export function addIsoWeeks(value, weeks) {
+  const start = isoWeekStart(value)
+  start.setDate(start.getDate() + weeks * 7)
+  return toIsoWeek(start)
+}
+
+/**
+ * @param {string} from - ISO week value
+ * @param {string} to - ISO week value
+ * @returns {number} - Whole weeks from `from` to `to`
+ */
+export function isoWeeksBetween(from, to) {
+  return Math.round((isoWeekStart(to) - isoWeekStart(from)) / (7 * DAY_MS))
+}
+
+/**
+ * Consecutive ISO weeks
+ *
+ * @param {string} start - First ISO week value
+ * @param {number} count - Number of weeks
+ * @returns {string[]}
+ */
+export function isoWeekRange(start, count) {
+  return Array.from({ length: count }, (_, i) => addIsoWeeks(start, i))
+}
+
+/**
+ * Display label; the year is only shown when it is not the current one
+ *
+ * @param {string} value - ISO week value
+ * @returns {string} - e.g. "W43" or "W2 '27"
+ */
+export function formatIsoWeek(value) {
+  const parsed = parseIsoWeek(value)
+  if (!parsed) return ''
+  if (parsed.year === getIsoWeek(new Date()).year) return `W${parsed.week}`
+  return `W${parsed.week} '${String(parsed.year).slice(2)}`
+}
+
+/**
+ * Convert a legacy integer week to an ISO week value
+ *
+ * Integer weeks carried no year. They were picked from "current week + 0..25"
+ * and kept counting past the last week, so numbers beyond the year's week
+ * count roll over into the next year, and numbers far below the reference
+ * week (more than half a year back) belong to the next year too.
+ *
+ * @param {number|string} week - Legacy week number
+ * @param {Date|string} reference - When the week was planned (e.g. createdAt)
+ * @returns {string|null} - ISO week value, or null for empty input
+ */
+export function migrateLegacyWeek(week, reference = new Date()) {
+  if (week === null || week === undefined || week === '') return null
+  if (isIsoWeek(week)) return week
+  let number = parseInt(week)
+  if (!Number.isInteger(number) || number < 1) return null
+
+  const ref = getIsoWeek(reference)
+  let year = ref.year
+  if (number < ref.week - 26) year++
+  while (number > isoWeeksInYear(year)) {
+    number -= isoWeeksInYear(year)
+    year++
+  }
+  return formatIsoWeekValue(year, number)
+}
@@ -0,0 +1,199 @@
+/**
+ * Small Markdown renderer for ticket descriptions, acceptance criteria
+ * and comments
+ *
+ * Safe by construction: all input is HTML-escaped first and only the
+ * tags produced here end up in the output, so the result can go into
+ * v-html. Supported: paragraphs, # headings, - / 1. lists, - [ ] checklists,
+ * > quotes, ``` code blocks, `code`, **bold**, *italic*, [links](https://…),
+ * bare URLs and ticket references such as TM-01 or GT-012.
+ */
+
+const CHECKLIST_PATTERN = /^(\s*[-*]\s+\[)([ xX])(\]\s+)(.*)$/
+const BULLET_PATTERN = /^\s*[-*]\s+(.*)$/
+const ORDERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/
+const HEADING_PATTERN = /^(#{1,3})\s+(.*)$/
+const QUOTE_PATTERN = /^>\s?(.*)$/
+const FENCE_PATTERN = /^\s*```/
+const TICKET_PATTERN = /\b[A-Z]{2,}-\d{1,4}\b/g
+// Same-site paths only: "//host" and "/\host" are protocol-relative
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|\/(?![/\\]))/i
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// Escaped text → inline HTML. Code spans and links are stashed first so
+// the emphasis and ticket rules don't touch their contents.
+function renderInline(text, options) {
+  const stash = []
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`
+
+  let html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      if (!SAFE_URL_PATTERN.test(url)) return match
+      return keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`)
+    })
+    .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,;:!?)]/g, url => keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`))
+
+  html = html
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(TICKET_PATTERN, match => {
+      const ticketNumber = options.resolveTicket ? options.resolveTicket(match) : match
+      if (!ticketNumber) return match
+      return `<a href="/tickets?q=${ticketNumber}" class="ticket-ref" data-ticket="${ticketNumber}">${match}</a>`
+    })
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, i) => stash[i])
+}
+
+/**
+ * Render Markdown to sanitized HTML
+ *
+ * @param {string} text - Markdown source
+ * @param {Object} options - { resolveTicket(reference) } returning the stored ticket
+ *   number, or null to leave the reference unlinked
+ * @returns {string} - HTML
+ */
+export function renderMarkdown(text, options = {}) {
+  if (!text) return ''
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let paragraph = []
+  let list = null // { type: 'ul' | 'ol', items: [] }
+  let quote = []
+  let checkIndex = 0
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(l => renderInline(l, options)).join('<br>')}</p>`)
+    paragraph = []
+  }
+  const flushList = () => {
+    if (list) blocks.push(`<${list.type}${list.checklist ? ' class="checklist"' : ''}>${list.items.join('')}</${list.type}>`)
+    list = null
+  }
+  const flushQuote = () => {
+    if (quote.length) blocks.push(`<blockquote>${quote.map(l => renderInline(l, options)).join('<br>')}</blockquote>`)
+    quote = []
+  }
+  const flushAll = () => {
+    flushParagraph()
+    flushList()
+    flushQuote()
+  }
+  const addItem = (type, html, checklist = false) => {
+    flushParagraph()
+    flushQuote()
+    if (!list || list.type !== type) {
+      flushList()
+      list = { type, items: [], checklist }
+    }
+    list.checklist = list.checklist || checklist
+    list.items.push(html)
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (FENCE_PATTERN.test(line)) {
+      flushAll()
+      const code = []
+      while (++i < lines.length && !FENCE_PATTERN.test(lines[i])) code.push(lines[i])
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`)
+      continue
+    }
+
+    let match
+    if (!line.trim()) {
+      flushAll()
+    } else if ((match = line.match(CHECKLIST_PATTERN))) {
+      const checked = match[2] !== ' '
+      addItem('ul', `<li class="check-item${checked ? ' checked' : ''}"><input type="checkbox" data-check-index="${checkIndex++}"${checked ? ' checked' : ''}> <span>${renderInline(match[4], options)}</span></li>`, true)
+    } else if ((match = line.match(BULLET_PATTERN))) {
+      addItem('ul', `<li>${renderInline(match[1], options)}</li>`)
+    } else if ((match = line.match(ORDERED_PATTERN))) {
+      addItem('ol', `<li>${renderInline(match[1], options)}</li>`)
+    } else if ((match = line.match(HEADING_PATTERN))) {
+      flushAll()
+      const level = match[1].length + 2
+      blocks.push(`<h${level}>${renderInline(match[2], options)}</h${level}>`)
+    } else if ((match = line.match(QUOTE_PATTERN))) {
+      flushParagraph()
+      flushList()
+      quote.push(match[1])
+    } else {
+      flushList()
+      flushQuote()
+      paragraph.push(line.trim())
+    }
+  }
+  flushAll()
+  return blocks.join('')
+}
+
+// Checklist lines outside code blocks, in document order
+function checklistLines(lines) {
+  const result = []
+  let inCode = false
+  lines.forEach((line, index) => {
+    if (FENCE_PATTERN.test(line)) inCode = !inCode
+    else if (!inCode && CHECKLIST_PATTERN.test(line)) result.push(index)
+  })
+  return result
+}
+
+/**
+ * Checklist progress of a Markdown text
+ *
+ * @param {string} text - Markdown source
+ * @returns {{ total: number, done: number }}
+ */
+export function getChecklistProgress(text) {
+  if (!text) return { total: 0, done: 0 }
+  const lines = text.split(/\r?\n/)
+  const items = checklistLines(lines)
+  return {
+    total: items.length,
+    done: items.filter(i => lines[i].match(CHECKLIST_PATTERN)[2] !== ' ').length
+  }
+}
+
+/**
+ * Tick or untick the n-th checklist item
+ *
+ * @param {string} text - Markdown source
+ * @param {number} index - data-check-index of the rendered checkbox
+ * @returns {string} - Updated source
+ */
+export function toggleChecklistItem(text, index) {
+  const lines = text.split('\n')
+  const lineIndex = checklistLines(lines)[index]
+  if (lineIndex === undefined) return text
+  lines[lineIndex] = lines[lineIndex].replace(CHECKLIST_PATTERN, (_, start, mark, end, rest) =>
+    `${start}${mark === ' ' ? 'x' : ' '}${end}${rest}`
+  )
+  return lines.join('\n')
+}
+
+/**
+ * Untick all checklist items, e.g. for the next instance of a recurring ticket
+ *
+ * @param {string} text - Markdown source
+ * @returns {string} - Updated source
+ */
+export function resetChecklist(text) {
+  if (!text) return text
+  const lines = text.split('\n')
+  checklistLines(lines).forEach(i => {
+    lines[i] = lines[i].replace(CHECKLIST_PATTERN, (_, start, mark, end, rest) => `${start} ${end}${rest}`)
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest'
+import { renderMarkdown } from './useMarkdown.js'
+
+describe('ticket references', () => {
+  it('links references with any prefix', () => {
+    const html = renderMarkdown('Zie TM-01 en GT-042')
+
+    expect(html).toContain('data-ticket="TM-01"')
+    expect(html).toContain('data-ticket="GT-042"')
+  })
+
+  it('links to the number resolveTicket returns and leaves unknown ones as text', () => {
+    const resolveTicket = ref => (ref === 'GT-42' ? 'GT-042' : null)
+    const html = renderMarkdown('GT-42 en COVID-19', { resolveTicket })
+
+    expect(html).toBe('<p><a href="/tickets?q=GT-042" class="ticket-ref" data-ticket="GT-042">GT-42</a> en COVID-19</p>')
+  })
+})
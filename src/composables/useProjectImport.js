@@ -0,0 +1,485 @@
+/**
+ * Validation and dry-run diff for project JSON imports
+ * Used by the project store (import) and the import dialog (preview)
+ */
+
+import { isIsoWeek, migrateLegacyWeek, formatIsoWeek } from './useIsoWeek.js'
+import { RECURRENCE_OPTIONS, TEMPLATE_FIELDS, templateToTicket } from './useTicketTemplates.js'
+import { METRIC_SOURCES, METRIC_COMPARISONS } from './useCriteriaMetrics.js'
+import { PURCHASE_CATEGORIES, PURCHASE_RECURRENCES } from './useBudget.js'
+
+export const PHASE_STATUSES = ['niet gestart', 'actief', 'go-no-go', 'afgerond']
+export const TICKET_STATUSES = ['todo', 'in-progress', 'done']
+export const TICKET_PRIORITIES = ['must', 'should', 'nice']
+const RECURRENCES = RECURRENCE_OPTIONS.map(o => o.value)
+
+// Fields compared to decide whether a matched item changed
+const PHASE_COMPARE_FIELDS = [
+  'name', 'description', 'goal', 'targetDate', 'measurement', 'status', 'position', 'budget', 'noGoAction',
+  'goNoGoDecision', 'goNoGoDecisions'
+]
+const TEMPLATE_COMPARE_FIELDS = ['name', ...TEMPLATE_FIELDS]
+const CRITERION_COMPARE_FIELDS = ['description', 'completed', 'position', 'metric']
+const TICKET_COMPARE_FIELDS = [
+  'title', 'description', 'phaseId', 'epic', 'status', 'priority', 'value',
+  'acceptanceCriteria', 'estimatedHours', 'plannedWeek', 'labels', 'recurrence',
+  'comments', 'dependsOn', 'blockedBy'
+]
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/
+const CURRENCY_PATTERN = /^[A-Z]{3}$/
+// Seed tickets use TM-/SM-/SP-/TP-, tickets created in the portal GT-
+const TICKET_NUMBER_PATTERN = /^[A-Z]+-\d+$/
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+/**
+ * Validate parsed import JSON (the format written by exportData) and
+ * normalise it to store shape with defaults filled in
+ *
+ * @param {*} raw - Parsed JSON
+ * @returns {{ errors: string[], data: Object|null }} - Errors (Dutch, with path) or normalised data
+ */
+export function validateImportData(raw) {
+  const errors = []
+  const err = (path, message) => errors.push(`${path}: ${message}`)
+
+  if (!isPlainObject(raw)) {
+    return { errors: ['Bestand bevat geen JSON-object'], data: null }
+  }
+
+  // Project
+  if (!isPlainObject(raw.project)) err('project', 'ontbreekt of is geen object')
+  else if (typeof raw.project.name !== 'string' || !raw.project.name.trim()) err('project.name', 'verplicht')
+
+  // Labels
+  const labels = raw.labels ?? []
+  if (!Array.isArray(labels)) err('labels', 'moet een lijst zijn')
+  else {
+    labels.forEach((l, i) => {
+      if (!isPlainObject(l) || typeof l.id !== 'string' || typeof l.name !== 'string') {
+        err(`labels[${i}]`, 'verwacht { id, name, color }')
+      }
+    })
+  }
+
+  // Capacity — absent in files from before capacity planning
+  if (raw.capacity != null) {
+    if (!isPlainObject(raw.capacity)) err('capacity', 'verwacht { weeklyHours, exceptions }')
+    else {
+      if (!isNonNegativeNumber(raw.capacity.weeklyHours)) err('capacity.weeklyHours', 'moet een getal ≥ 0 zijn')
+      if (raw.capacity.exceptions != null && !isPlainObject(raw.capacity.exceptions)) err('capacity.exceptions', 'verwacht { week: uren }')
+      Object.entries(raw.capacity.exceptions || {}).forEach(([week, hours]) => {
+        if (!isIsoWeek(week)) err(`capacity.exceptions.${week}`, 'verwacht een ISO-week (2026-W43)')
+        else if (!isNonNegativeNumber(hours)) err(`capacity.exceptions.${week}`, 'moet een getal ≥ 0 zijn')
+      })
+    }
+  }
+
+  // Exchange rates — value of 1 unit in the project currency
+  if (raw.exchangeRates != null) {
+    if (!isPlainObject(raw.exchangeRates)) err('exchangeRates', 'verwacht { valuta: koers }')
+    else {
+      Object.entries(raw.exchangeRates).forEach(([code, rate]) => {
+        if (!CURRENCY_PATTERN.test(code)) err(`exchangeRates.${code}`, 'verwacht een valutacode zoals USD')
+        else if (!(typeof rate === 'number' && Number.isFinite(rate) && rate > 0)) err(`exchangeRates.${code}`, 'moet een getal > 0 zijn')
+      })
+    }
+  }
+
+  // Ticket templates
+  const templates = raw.templates ?? null
+  const templateIds = new Set()
+  if (templates !== null && !Array.isArray(templates)) err('templates', 'moet een lijst zijn')
+  ;(Array.isArray(templates) ? templates : []).forEach((t, i) => {
+    const path = `templates[${i}]`
+    if (!isPlainObject(t)) return err(path, 'geen object')
+    if (typeof t.id !== 'string' || !t.id) err(`${path}.id`, 'verplicht')
+    else if (templateIds.has(t.id)) err(`${path}.id`, `dubbele template "${t.id}"`)
+    else templateIds.add(t.id)
+    if (typeof t.name !== 'string' || !t.name.trim()) err(`${path}.name`, 'verplicht')
+    if (t.priority != null && !TICKET_PRIORITIES.includes(t.priority)) err(`${path}.priority`, `ongeldige waarde "${t.priority}"`)
+    if (t.estimatedHours != null && !isNonNegativeNumber(t.estimatedHours)) err(`${path}.estimatedHours`, 'moet een getal ≥ 0 zijn')
+    if (t.labels != null && !(Array.isArray(t.labels) && t.labels.every(l => typeof l === 'string'))) err(`${path}.labels`, 'moet een lijst met label-id\'s zijn')
+    if (t.recurrence != null && !RECURRENCES.includes(t.recurrence)) err(`${path}.recurrence`, `ongeldige waarde "${t.recurrence}"`)
+  })
+
+  // Phases
+  const phaseIds = new Set()
+  if (!Array.isArray(raw.phases) || raw.phases.length === 0) {
+    err('phases', 'moet een niet-lege lijst zijn')
+  } else {
+    raw.phases.forEach((p, i) => {
+      const path = `phases[${i}]`
+      if (!isPlainObject(p)) return err(path, 'geen object')
+      if (!Number.isInteger(p.id) || p.id < 1) err(`${path}.id`, 'moet een positief geheel getal zijn')
+      else if (phaseIds.has(p.id)) err(`${path}.id`, `dubbel fasenummer ${p.id}`)
+      else phaseIds.add(p.id)
+      if (typeof p.name !== 'string' || !p.name.trim()) err(`${path}.name`, 'verplicht')
+      if (p.status !== undefined && !PHASE_STATUSES.includes(p.status)) err(`${path}.status`, `ongeldige waarde "${p.status}"`)
+      if (p.targetDate != null && !(typeof p.targetDate === 'string' && DATE_PATTERN.test(p.targetDate))) err(`${path}.targetDate`, 'verwacht YYYY-MM-DD')
+      if (p.budget != null && !isNonNegativeNumber(p.budget)) err(`${path}.budget`, 'moet een getal ≥ 0 zijn')
+      if (p.goNoGoDecision != null && !isPlainObject(p.goNoGoDecision)) err(`${path}.goNoGoDecision`, 'geen object')
+      if (p.goNoGoDecisions != null && !Array.isArray(p.goNoGoDecisions)) err(`${path}.goNoGoDecisions`, 'moet een lijst zijn')
+      ;(Array.isArray(p.goNoGoDecisions) ? p.goNoGoDecisions : []).forEach((d, j) => {
+        const dPath = `${path}.goNoGoDecisions[${j}]`
+        if (!isPlainObject(d)) return err(dPath, 'geen object')
+        if (typeof d.decision !== 'string' || !d.decision) err(`${dPath}.decision`, 'verplicht')
+        if (typeof d.date !== 'string' || !DATE_PATTERN.test(d.date)) err(`${dPath}.date`, 'verwacht een datum')
+      })
+
+      const criterionIds = new Set()
+      if (p.goNoGoCriteria !== undefined && !Array.isArray(p.goNoGoCriteria)) err(`${path}.goNoGoCriteria`, 'moet een lijst zijn')
+      ;(Array.isArray(p.goNoGoCriteria) ? p.goNoGoCriteria : []).forEach((c, j) => {
+        const cPath = `${path}.goNoGoCriteria[${j}]`
+        if (!isPlainObject(c)) return err(cPath, 'geen object')
+        if (typeof c.id !== 'string' || !c.id) err(`${cPath}.id`, 'verplicht')
+        else if (criterionIds.has(c.id)) err(`${cPath}.id`, `dubbel criterium "${c.id}"`)
+        else criterionIds.add(c.id)
+        if (typeof c.description !== 'string') err(`${cPath}.description`, 'verplicht')
+        if (c.completed !== undefined && typeof c.completed !== 'boolean') err(`${cPath}.completed`, 'moet true of false zijn')
+        if (c.metric != null) {
+          if (!isPlainObject(c.metric)) err(`${cPath}.metric`, 'geen object')
+          else {
+            if (!METRIC_SOURCES.some(s => s.value === c.metric.source)) err(`${cPath}.metric.source`, `onbekende bron "${c.metric.source}"`)
+            if (!METRIC_COMPARISONS.some(o => o.value === c.metric.comparison)) err(`${cPath}.metric.comparison`, `onbekende vergelijking "${c.metric.comparison}"`)
+            if (typeof c.metric.target !== 'number' || !Number.isFinite(c.metric.target)) err(`${cPath}.metric.target`, 'moet een getal zijn')
+          }
+        }
+      })
+
+      if (p.purchases !== undefined && !Array.isArray(p.purchases)) err(`${path}.purchases`, 'moet een lijst zijn')
+      ;(Array.isArray(p.purchases) ? p.purchases : []).forEach((pp, j) => {
+        const pPath = `${path}.purchases[${j}]`
+        if (!isPlainObject(pp)) return err(pPath, 'geen object')
+        if (typeof pp.description !== 'string') err(`${pPath}.description`, 'verplicht')
+        if (typeof pp.amount !== 'number' || !Number.isFinite(pp.amount)) err(`${pPath}.amount`, 'moet een getal zijn')
+        if (pp.category != null && !PURCHASE_CATEGORIES.some(c => c.value === pp.category)) err(`${pPath}.category`, `onbekende categorie "${pp.category}"`)
+        if (pp.recurrence != null && !PURCHASE_RECURRENCES.some(r => r.value === pp.recurrence)) err(`${pPath}.recurrence`, `onbekende herhaling "${pp.recurrence}"`)
+        if (pp.endDate != null && !(typeof pp.endDate === 'string' && DATE_PATTERN.test(pp.endDate))) err(`${pPath}.endDate`, 'verwacht YYYY-MM-DD')
+        if (pp.currency != null && !(typeof pp.currency === 'string' && CURRENCY_PATTERN.test(pp.currency))) err(`${pPath}.currency`, 'verwacht een valutacode zoals USD')
+        if (pp.vatRate != null && !(typeof pp.vatRate === 'number' && pp.vatRate >= 0 && pp.vatRate <= 100)) err(`${pPath}.vatRate`, 'moet een percentage zijn')
+        if (pp.vatIncluded != null && typeof pp.vatIncluded !== 'boolean') err(`${pPath}.vatIncluded`, 'moet true of false zijn')
+      })
+    })
+  }
+
+  // Tickets
+  const tickets = raw.tickets ?? []
+  const ticketIds = new Set()
+  const ticketNumbers = new Set()
+  if (!Array.isArray(tickets)) {
+    err('tickets', 'moet een lijst zijn')
+  } else {
+    tickets.forEach((t, i) => {
+      if (isPlainObject(t) && t.id !== undefined) ticketIds.add(t.id)
+    })
+    tickets.forEach((t, i) => {
+      const path = `tickets[${i}]`
+      if (!isPlainObject(t)) return err(path, 'geen object')
+      if (t.id === undefined || t.id === null) err(`${path}.id`, 'verplicht')
+      if (typeof t.ticketNumber !== 'string' || !TICKET_NUMBER_PATTERN.test(t.ticketNumber)) err(`${path}.ticketNumber`, 'verwacht bijv. GT-123 of TM-01')
+      else if (ticketNumbers.has(t.ticketNumber)) err(`${path}.ticketNumber`, `dubbel ticketnummer ${t.ticketNumber}`)
+      else ticketNumbers.add(t.ticketNumber)
+      if (typeof t.title !== 'string' || !t.title.trim()) err(`${path}.title`, 'verplicht')
+      if (t.status !== undefined && !TICKET_STATUSES.includes(t.status)) err(`${path}.status`, `ongeldige waarde "${t.status}"`)
+      if (t.priority !== undefined && !TICKET_PRIORITIES.includes(t.priority)) err(`${path}.priority`, `ongeldige waarde "${t.priority}"`)
+      if (t.phaseId != null && !phaseIds.has(t.phaseId)) err(`${path}.phaseId`, `fase ${t.phaseId} bestaat niet in het bestand`)
+      if (t.estimatedHours != null && !isNonNegativeNumber(t.estimatedHours)) err(`${path}.estimatedHours`, 'moet een getal ≥ 0 zijn')
+      if (t.plannedWeek != null && !Number.isInteger(t.plannedWeek) && !isIsoWeek(t.plannedWeek)) err(`${path}.plannedWeek`, 'verwacht een ISO-week (2026-W43)')
+      ;['dependsOn', 'blockedBy'].forEach(field => {
+        if (t[field] === undefined) return
+        if (!Array.isArray(t[field])) return err(`${path}.${field}`, 'moet een lijst zijn')
+        t[field].forEach(id => {
+          if (!ticketIds.has(id)) err(`${path}.${field}`, `verwijst naar onbekend ticket-id ${id}`)
+        })
+      })
+      if (t.labels !== undefined && !(Array.isArray(t.labels) && t.labels.every(l => typeof l === 'string'))) err(`${path}.labels`, 'moet een lijst met label-id\'s zijn')
+      if (t.recurrence != null && !RECURRENCES.includes(t.recurrence)) err(`${path}.recurrence`, `ongeldige waarde "${t.recurrence}"`)
+      if (t.comments !== undefined && !(Array.isArray(t.comments) && t.comments.every(c => isPlainObject(c) && typeof c.text === 'string'))) err(`${path}.comments`, 'verwacht een lijst met { text }')
+    })
+  }
+
+  if (errors.length > 0) return { errors, data: null }
+
+  const ticketNumberById = new Map(tickets.map(t => [t.id, t.ticketNumber]))
+  const highestTicketNumber = tickets.reduce((max, t) => Math.max(max, parseInt(t.ticketNumber.match(/-(\d+)$/)[1])), 0)
+
+  return {
+    errors: [],
+    data: {
+      project: {
+        name: raw.project.name,
+        description: raw.project.description || '',
+        totalBudget: raw.project.totalBudget || 0,
+        currency: raw.project.currency || 'EUR'
+      },
+      labels: labels.map(l => ({ id: l.id, name: l.name, color: l.color || '#6b7280' })),
+      // null leaves the project's capacity as it is
+      capacity: raw.capacity != null
+        ? { weeklyHours: raw.capacity.weeklyHours, exceptions: { ...(raw.capacity.exceptions || {}) } }
+        : null,
+      // The project currency itself needs no rate
+      exchangeRates: raw.exchangeRates != null
+        ? Object.fromEntries(Object.entries(raw.exchangeRates).filter(([code]) => code !== (raw.project.currency || 'EUR')))
+        : null,
+      templates: templates ? templates.map(t => ({ id: t.id, name: t.name, ...templateToTicket(t) })) : null,
+      nextTicketNumber: Math.max(raw.nextTicketNumber || 1, highestTicketNumber + 1),
+      // Files without positions keep the order they list things in
+      phases: raw.phases.map((p, i) => ({
+        id: p.id,
+        name: p.name,
+        description: p.description || '',
+        goal: p.goal || '',
+        targetDate: p.targetDate || null,
+        measurement: p.measurement || '',
+        status: p.status || 'niet gestart',
+        position: Number.isInteger(p.position) ? p.position : i + 1,
+        budget: p.budget ?? null,
+        noGoAction: p.noGoAction || '',
+        goNoGoDecision: p.goNoGoDecision || p.goNoGoDecisions?.at(-1) || null,
+        goNoGoDecisions: p.goNoGoDecisions || (p.goNoGoDecision ? [p.goNoGoDecision] : []),
+        goNoGoCriteria: (p.goNoGoCriteria || []).map((c, j) => ({
+          id: c.id,
+          description: c.description,
+          completed: c.completed || false,
+          position: Number.isInteger(c.position) ? c.position : j + 1,
+          metric: c.metric ? { source: c.metric.source, comparison: c.metric.comparison, target: c.metric.target } : null
+        })),
+        purchases: (p.purchases || []).map(pp => ({
+          description: pp.description,
+          amount: pp.amount,
+          date: pp.date || new Date().toISOString().split('T')[0],
+          category: pp.category || null,
+          recurrence: pp.recurrence || null,
+          endDate: pp.endDate || null,
+          currency: pp.currency || null,
+          vatRate: pp.vatRate ?? null,
+          vatIncluded: pp.vatIncluded !== false
+        }))
+      })),
+      // Dependencies reference tickets by number, as file ids mean nothing
+      // outside the file
+      tickets: tickets.map(t => ({
+        ticketNumber: t.ticketNumber,
+        title: t.title,
+        description: t.description || '',
+        phaseId: t.phaseId ?? null,
+        epic: t.epic || null,
+        status: t.status || 'todo',
+        priority: t.priority || 'should',
+        value: t.value || '',
+        acceptanceCriteria: t.acceptanceCriteria || '',
+        estimatedHours: t.estimatedHours ?? null,
+        plannedWeek: migrateLegacyWeek(t.plannedWeek),
+        labels: t.labels || [],
+        recurrence: t.recurrence || null,
+        comments: (t.comments || []).map(c => ({
+          id: c.id ?? null,
+          parentId: c.parentId ?? null,
+          author: c.author || null,
+          text: c.text,
+          createdAt: c.createdAt || null,
+          editedAt: c.editedAt || null
+        })),
+        dependsOn: (t.dependsOn || []).map(id => ticketNumberById.get(id)),
+        blockedBy: (t.blockedBy || []).map(id => ticketNumberById.get(id))
+      }))
+    }
+  }
+}
+
+function isSame(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+function changedFields(current, incoming, fields) {
+  return fields.filter(f => !isSame(current[f], incoming[f]))
+}
+
+/**
+ * Identity of a purchase across files, which carry no stable ids
+ *
+ * @param {Object} purchase - { description, amount, date }
+ * @returns {string} - Match key
+ */
+export function purchaseKey(purchase) {
+  return `${purchase.description}|${Number(purchase.amount)}|${purchase.date}`
+}
+
+// Merge only adds purchases; replace also drops the ones not in the file
+function purchasesChanged(current, incoming, mode) {
+  const currentKeys = new Set(current.map(purchaseKey))
+  const incomingKeys = new Set(incoming.map(purchaseKey))
+  if ([...incomingKeys].some(k => !currentKeys.has(k))) return true
+  return mode === 'replace' && [...currentKeys].some(k => !incomingKeys.has(k))
+}
+
+// Keyed project settings: merge adds and updates, replace also removes
+// the keys not in the file
+function diffKeyed(target, current, incoming, mode, prefix, label) {
+  Object.entries(incoming).forEach(([key, value]) => {
+    if (!(key in current)) {
+      target.added.push({ key: `${prefix}:${key}`, label: label(key, value), current: null, incoming: value, fields: [] })
+    } else if (!isSame(current[key], value)) {
+      target.changed.push({ key: `${prefix}:${key}`, label: label(key, value), current: current[key], incoming: value, fields: [] })
+    }
+  })
+  if (mode === 'replace') {
+    Object.keys(current)
+      .filter(key => !(key in incoming))
+      .forEach(key => target.removed.push({ key: `${prefix}:${key}`, label: label(key, current[key]), current: current[key], incoming: null, fields: [] }))
+  }
+}
+
+/**
+ * Dry-run diff between the current store and normalised import data
+ *
+ * Phases match on number, criteria on phase number + id, tickets on
+ * ticketNumber, templates on id. In 'merge' mode nothing is removed and
+ * the weekly capacity is kept.
+ *
+ * @param {Object} current - { phases, tickets, capacity, exchangeRates, templates } in store shape
+ * @param {Object} incoming - Normalised data from validateImportData
+ * @param {'replace'|'merge'} mode - Import mode
+ * @returns {Object} - { phases, criteria, tickets, templates, settings }, each { added, changed, removed }
+ *   with items { key, label, current, incoming, fields }
+ */
+export function diffImport(current, incoming, mode) {
+  const result = {
+    phases: { added: [], changed: [], removed: [] },
+    criteria: { added: [], changed: [], removed: [] },
+    tickets: { added: [], changed: [], removed: [] },
+    templates: { added: [], changed: [], removed: [] },
+    settings: { added: [], changed: [], removed: [] }
+  }
+
+  // Phases and their criteria
+  const currentPhases = new Map(current.phases.map(p => [p.id, p]))
+  const incomingPhaseIds = new Set(incoming.phases.map(p => p.id))
+
+  incoming.phases.forEach(p => {
+    const existing = currentPhases.get(p.id)
+    const label = `${p.id}. ${p.name}`
+    if (!existing) {
+      result.phases.added.push({ key: p.id, label, current: null, incoming: p, fields: [] })
+    } else {
+      const fields = changedFields(existing, p, PHASE_COMPARE_FIELDS)
+      if (purchasesChanged(existing.purchases || [], p.purchases, mode)) fields.push('purchases')
+      if (fields.length) result.phases.changed.push({ key: p.id, label, current: existing, incoming: p, fields })
+    }
+
+    const currentCriteria = new Map((existing?.goNoGoCriteria || []).map(c => [c.id, c]))
+    const incomingCriterionIds = new Set(p.goNoGoCriteria.map(c => c.id))
+    p.goNoGoCriteria.forEach(c => {
+      const key = `${p.id}/${c.id}`
+      const existingCriterion = currentCriteria.get(c.id)
+      if (!existingCriterion) {
+        result.criteria.added.push({ key, phaseId: p.id, label: c.description, current: null, incoming: c, fields: [] })
+      } else {
+        const fields = changedFields(existingCriterion, c, CRITERION_COMPARE_FIELDS)
+        if (fields.length) result.criteria.changed.push({ key, phaseId: p.id, label: c.description, current: existingCriterion, incoming: c, fields })
+      }
+    })
+    if (mode === 'replace' && existing) {
+      existing.goNoGoCriteria
+        .filter(c => !incomingCriterionIds.has(c.id))
+        .forEach(c => result.criteria.removed.push({ key: `${p.id}/${c.id}`, phaseId: p.id, label: c.description, current: c, incoming: null, fields: [] }))
+    }
+  })
+
+  if (mode === 'replace') {
+    current.phases
+      .filter(p => !incomingPhaseIds.has(p.id))
+      .forEach(p => {
+        result.phases.removed.push({ key: p.id, label: `${p.id}. ${p.name}`, current: p, incoming: null, fields: [] })
+        p.goNoGoCriteria.forEach(c => result.criteria.removed.push({ key: `${p.id}/${c.id}`, phaseId: p.id, label: c.description, current: c, incoming: null, fields: [] }))
+      })
+  }
+
+  // Tickets — compare dependencies by ticket number on both sides
+  const numberById = new Map(current.tickets.map(t => [t.id, t.ticketNumber]))
+  const toComparable = t => ({
+    ...t,
+    dependsOn: (t.dependsOn || []).map(id => numberById.get(id)).filter(Boolean),
+    blockedBy: (t.blockedBy || []).map(id => numberById.get(id)).filter(Boolean)
+  })
+  const currentTickets = new Map(current.tickets.map(t => [t.ticketNumber, t]))
+  const incomingNumbers = new Set(incoming.tickets.map(t => t.ticketNumber))
+
+  incoming.tickets.forEach(t => {
+    const existing = currentTickets.get(t.ticketNumber)
+    const label = `${t.ticketNumber} ${t.title}`
+    if (!existing) {
+      result.tickets.added.push({ key: t.ticketNumber, label, current: null, incoming: t, fields: [] })
+    } else {
+      const fields = changedFields(toComparable(existing), t, TICKET_COMPARE_FIELDS)
+      if (fields.length) result.tickets.changed.push({ key: t.ticketNumber, label, current: existing, incoming: t, fields })
+    }
+  })
+
+  if (mode === 'replace') {
+    current.tickets
+      .filter(t => !incomingNumbers.has(t.ticketNumber))
+      .forEach(t => result.tickets.removed.push({ key: t.ticketNumber, label: `${t.ticketNumber} ${t.title}`, current: t, incoming: null, fields: [] }))
+  }
+
+  // Ticket templates
+  if (incoming.templates) {
+    const currentTemplates = new Map((current.templates || []).map(t => [t.id, t]))
+    const incomingTemplateIds = new Set(incoming.templates.map(t => t.id))
+    incoming.templates.forEach(t => {
+      const existing = currentTemplates.get(t.id)
+      if (!existing) {
+        result.templates.added.push({ key: t.id, label: t.name, current: null, incoming: t, fields: [] })
+      } else {
+        const fields = changedFields(existing, t, TEMPLATE_COMPARE_FIELDS)
+        if (fields.length) result.templates.changed.push({ key: t.id, label: t.name, current: existing, incoming: t, fields })
+      }
+    })
+    if (mode === 'replace') {
+      (current.templates || [])
+        .filter(t => !incomingTemplateIds.has(t.id))
+        .forEach(t => result.templates.removed.push({ key: t.id, label: t.name, current: t, incoming: null, fields: [] }))
+    }
+  }
+
+  // Project settings
+  if (incoming.capacity) {
+    const capacity = current.capacity || { weeklyHours: null, exceptions: {} }
+    if (mode === 'replace' && capacity.weeklyHours !== incoming.capacity.weeklyHours) {
+      result.settings.changed.push({
+        key: 'capacity',
+        label: `Weekcapaciteit: ${capacity.weeklyHours ?? '—'} → ${incoming.capacity.weeklyHours} uur`,
+        current: capacity.weeklyHours,
+        incoming: incoming.capacity.weeklyHours,
+        fields: []
+      })
+    }
+    diffKeyed(result.settings, capacity.exceptions || {}, incoming.capacity.exceptions, mode, 'capacity',
+      (week, hours) => `Capaciteit ${formatIsoWeek(week)}: ${hours} uur`)
+  }
+  if (incoming.exchangeRates) {
+    diffKeyed(result.settings, current.exchangeRates || {}, incoming.exchangeRates, mode, 'rate',
+      (code, rate) => `Wisselkoers ${code}: ${rate}`)
+  }
+
+  return result
+}
+
+/**
+ * Count all added, changed and removed items in a diff
+ *
+ * @param {Object} diff - Result of diffImport
+ * @returns {number} - Total number of changes
+ */
+export function countImportChanges(diff) {
+  return ['phases', 'criteria', 'tickets', 'templates', 'settings'].reduce((sum, kind) =>
+    sum + diff[kind].added.length + diff[kind].changed.length + diff[kind].removed.length, 0)
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import { validateImportData } from './useProjectImport.js'
+import { initialData } from '../data/projectplan.js'
+
+// exportData writes the store as JSON; a freshly seeded store is initialData
+function exportSeed() {
+  return JSON.parse(JSON.stringify(initialData))
+}
+
+describe('validateImportData', () => {
+  it('accepts an export of the seed data', () => {
+    const { errors, data } = validateImportData(exportSeed())
+
+    expect(errors).toEqual([])
+    expect(data.tickets.map(t => t.ticketNumber)).toEqual(initialData.tickets.map(t => t.ticketNumber))
+  })
+
+  it('keeps every phase, criterion and dependency of the seed data', () => {
+    const { data } = validateImportData(exportSeed())
+    const numberById = new Map(initialData.tickets.map(t => [t.id, t.ticketNumber]))
+
+    expect(data.phases.map(p => p.goNoGoCriteria.length)).toEqual(initialData.phases.map(p => p.goNoGoCriteria.length))
+    data.tickets.forEach((t, i) => {
+      expect(t.dependsOn).toEqual(initialData.tickets[i].dependsOn.map(id => numberById.get(id)))
+    })
+  })
+
+  it('continues numbering after the highest ticket number of any prefix', () => {
+    const raw = exportSeed()
+    raw.nextTicketNumber = 1
+    const highest = Math.max(...raw.tickets.map(t => parseInt(t.ticketNumber.split('-')[1])))
+
+    expect(validateImportData(raw).data.nextTicketNumber).toBe(highest + 1)
+  })
+
+  it('rejects ticket numbers without a prefix', () => {
+    const raw = exportSeed()
+    raw.tickets[0].ticketNumber = '42'
+
+    expect(validateImportData(raw).errors).toEqual(['tickets[0].ticketNumber: verwacht bijv. GT-123 of TM-01'])
+  })
+})
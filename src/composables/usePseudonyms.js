@@ -0,0 +1,99 @@
+/**
+ * Pseudonyms for household and person data in privacy mode
+ * Used by the households, analysis and waitlist pages
+ *
+ * A pseudonym is derived from a stable key (id or e-mail address), so the
+ * same household or person gets the same code on every page and after a
+ * reload, without the real value being recoverable from it. Codes are
+ * made unique within the list a page shows (see pseudonymCodes); pass
+ * that map to the helpers below.
+ */
+
+const LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'
+
+// FNV-1a: cheap, stable and well spread for short strings
+function hash(value) {
+  let h = 0x811c9dc5
+  for (const char of String(value).toLowerCase()) {
+    h ^= char.codePointAt(0)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+/**
+ * Code for one key on its own; two keys can share one
+ *
+ * @param {string|number} key - Id or e-mail address
+ * @returns {string} - Two letters and three digits, e.g. "KX042"
+ */
+export function pseudonymCode(key) {
+  const h = hash(key)
+  const letters = LETTERS[h % LETTERS.length] + LETTERS[Math.floor(h / LETTERS.length) % LETTERS.length]
+  const digits = Math.floor(h / LETTERS.length ** 2) % 1000
+  return `${letters}${String(digits).padStart(3, '0')}`
+}
+
+/**
+ * Codes that are unique within a list. On a collision the key that sorts
+ * first keeps its code and the others get a derived one, so the same list
+ * gives the same codes regardless of order.
+ *
+ * @param {Array<string|number>} keys - Ids or e-mail addresses; empty values are skipped
+ * @returns {Map<string, string>} - Lower-cased key → code
+ */
+export function pseudonymCodes(keys) {
+  const codes = new Map()
+  const taken = new Set()
+  const unique = [...new Set(keys.filter(k => k !== null && k !== undefined && k !== '').map(k => String(k).toLowerCase()))]
+  unique.sort().forEach(key => {
+    let code = pseudonymCode(key)
+    for (let attempt = 1; taken.has(code); attempt++) code = pseudonymCode(`${key}#${attempt}`)
+    taken.add(code)
+    codes.set(key, code)
+  })
+  return codes
+}
+
+function codeFor(key, codes) {
+  return codes?.get(String(key).toLowerCase()) || pseudonymCode(key)
+}
+
+/**
+ * @param {string|number} id - Household id
+ * @param {Map<string, string>} codes - From pseudonymCodes over the listed households
+ * @returns {string} - e.g. "Huishouden KX042"
+ */
+export function householdPseudonym(id, codes) {
+  return `Huishouden ${codeFor(id, codes)}`
+}
+
+/**
+ * @param {string|number} key - User id or e-mail address
+ * @param {Map<string, string>} codes - From pseudonymCodes over the listed people
+ * @returns {string} - e.g. "Persoon KX042"
+ */
+export function personPseudonym(key, codes) {
+  return `Persoon ${codeFor(key, codes)}`
+}
+
+/**
+ * @param {string} email - E-mail address
+ * @param {Map<string, string>} codes - From pseudonymCodes over the listed people
+ * @returns {string} - e.g. "E-mail KX042", the same code as personPseudonym(email)
+ */
+export function emailPseudonym(email, codes) {
+  return `E-mail ${codeFor(email, codes)}`
+}
+
+/**
+ * Only the first two digits (the region) stay visible
+ *
+ * @param {string} postcode - Dutch postcode, e.g. "1234 AB"
+ * @returns {string} - e.g. "12•• ••"
+ */
+export function maskPostcode(postcode) {
+  if (!postcode) return postcode
+  const compact = postcode.replace(/\s+/g, '').toUpperCase()
+  return `${compact.slice(0, 2)}••${compact.length > 4 ? ' ••' : ''}`
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { pseudonymCode, pseudonymCodes, householdPseudonym } from './usePseudonyms.js'
+
+const keys = Array.from({ length: 5000 }, (_, i) => `persoon${i}@voorbeeld.nl`)
+
+describe('pseudonymCodes', () => {
+  it('gives every key in the list its own code', () => {
+    const codes = pseudonymCodes(keys)
+
+    expect(new Set(codes.values()).size).toBe(keys.length)
+  })
+
+  it('resolves keys that hash to the same code', () => {
+    expect(pseudonymCode('huishouden-1639')).toBe(pseudonymCode('huishouden-4144'))
+
+    const codes = pseudonymCodes(['huishouden-4144', 'huishouden-1639'])
+
+    expect(codes.get('huishouden-1639')).toBe(pseudonymCode('huishouden-1639'))
+    expect(codes.get('huishouden-4144')).not.toBe(pseudonymCode('huishouden-4144'))
+  })
+
+  it('gives the same codes regardless of list order', () => {
+    const codes = pseudonymCodes(keys)
+    const reversed = pseudonymCodes([...keys].reverse())
+
+    expect([...reversed.entries()].sort()).toEqual([...codes.entries()].sort())
+  })
+
+  it('keeps the plain code for keys that do not collide', () => {
+    const codes = pseudonymCodes(['Huis-1', 'huis-2'])
+
+    expect(householdPseudonym('Huis-1', codes)).toBe(`Huishouden ${pseudonymCode('huis-1')}`)
+    expect(codes.get('huis-2')).toMatch(/^[A-Z]{2}\d{3}$/)
+  })
+})
@@ -0,0 +1,223 @@
+/**
+ * Ticket search query language
+ * Used by the Tickets view for the search bar and result highlighting
+ *
+ * Syntax: free text (all words must match, "quoted phrases" stay together)
+ * plus status:, prio:, epic:, label:, week:, fase:, is:blocked and ticket
+ * numbers with any prefix (TM-01, GT-042; leading zeros are optional).
+ * Repeating a key means OR within that key; different keys combine as AND.
+ */
+
+import { getIsoWeek, formatIsoWeekValue, currentIsoWeek } from './useIsoWeek.js'
+
+const FILTER_KEYS = ['status', 'prio', 'epic', 'label', 'week', 'fase', 'is']
+
+// Dutch and shorthand spellings accepted for status:
+const STATUS_ALIASES = {
+  todo: 'todo',
+  open: 'todo',
+  'in-progress': 'in-progress',
+  progress: 'in-progress',
+  bezig: 'in-progress',
+  done: 'done',
+  klaar: 'done'
+}
+
+const TICKET_NUMBER_PATTERN = /^([a-z]+)-(\d+)$/i
+
+/**
+ * Normalise a ticket number for comparison, so GT-42, gt-042 and GT-042
+ * are the same ticket
+ *
+ * @param {string} value - Ticket number as typed or stored
+ * @returns {string|null} - e.g. "GT-42", or null when it is no ticket number
+ */
+export function normalizeTicketNumber(value) {
+  const match = String(value ?? '').match(TICKET_NUMBER_PATTERN)
+  return match ? `${match[1].toUpperCase()}-${parseInt(match[2])}` : null
+}
+
+/**
+ * Split a query into tokens, keeping quoted phrases (also as filter value,
+ * e.g. epic:"app store") together
+ *
+ * @param {string} query - Raw query
+ * @returns {string[]} - Tokens with quotes removed
+ */
+function tokenize(query) {
+  const tokens = []
+  const pattern = /(\w+:)?"([^"]*)"|\S+/g
+  let match
+  while ((match = pattern.exec(query)) !== null) {
+    tokens.push(match[2] !== undefined ? (match[1] || '') + match[2] : match[0])
+  }
+  return tokens.filter(Boolean)
+}
+
+/**
+ * Parse a search query
+ *
+ * @param {string} query - Raw query from the search bar
+ * @returns {Object} - { terms, numbers (normalised), filters: { key: string[] } }
+ */
+export function parseTicketQuery(query) {
+  const parsed = { terms: [], numbers: [], filters: {} }
+  if (!query) return parsed
+
+  tokenize(query).forEach(token => {
+    const ticketNumber = normalizeTicketNumber(token)
+    if (ticketNumber) {
+      parsed.numbers.push(ticketNumber)
+      return
+    }
+
+    const colon = token.indexOf(':')
+    const key = colon > 0 ? token.slice(0, colon).toLowerCase() : null
+    const value = colon > 0 ? token.slice(colon + 1).toLowerCase() : ''
+    if (key && FILTER_KEYS.includes(key) && value) {
+      ;(parsed.filters[key] ||= []).push(value)
+      return
+    }
+
+    parsed.terms.push(token.toLowerCase())
+  })
+
+  return parsed
+}
+
+/**
+ * True when the query contains nothing to filter on
+ *
+ * @param {Object} parsed - Result of parseTicketQuery
+ * @returns {boolean}
+ */
+export function isEmptyQuery(parsed) {
+  return parsed.terms.length === 0 && parsed.numbers.length === 0 && Object.keys(parsed.filters).length === 0
+}
+
+// Text fields searched by free text, in the order snippets are picked
+function searchableFields(ticket) {
+  return [
+    { field: 'ticketNumber', text: ticket.ticketNumber },
+    { field: 'title', text: ticket.title },
+    { field: 'description', text: ticket.description },
+    { field: 'acceptanceCriteria', text: ticket.acceptanceCriteria },
+    { field: 'value', text: ticket.value },
+    { field: 'epic', text: ticket.epic },
+    ...(ticket.comments || []).map(c => ({ field: 'comment', text: c.text }))
+  ].filter(f => f.text)
+}
+
+// Bare numbers mean weeks of the current ISO year
+function toWeekValue(value) {
+  if (/^\d{4}-w\d{2}$/.test(value)) return value.toUpperCase()
+  if (/^\d{1,2}$/.test(value)) return formatIsoWeekValue(getIsoWeek(new Date()).year, parseInt(value))
+  return null
+}
+
+// week:43, week:2026-W43, week:40-44, week:nu, week:geen
+function matchesWeek(plannedWeek, value) {
+  if (!plannedWeek) return value === 'geen'
+  if (value === 'nu') return plannedWeek === currentIsoWeek()
+  const range = value.match(/^(\d{1,2})-(\d{1,2})$/)
+  if (range) return plannedWeek >= toWeekValue(range[1]) && plannedWeek <= toWeekValue(range[2])
+  return plannedWeek === toWeekValue(value)
+}
+
+function matchesFilter(ticket, key, value, context) {
+  switch (key) {
+    case 'status':
+      return ticket.status === (STATUS_ALIASES[value] || value)
+    case 'prio':
+      return ticket.priority === value
+    case 'epic':
+      return (ticket.epic || '').toLowerCase().includes(value)
+    case 'label':
+      return (ticket.labels || []).some(id => {
+        const label = context.getLabel(id)
+        return id.toLowerCase() === value || label?.name.toLowerCase().startsWith(value)
+      })
+    case 'week':
+      return matchesWeek(ticket.plannedWeek, value)
+    case 'fase': {
+      if (/^\d+$/.test(value)) return ticket.phaseId === parseInt(value)
+      const phase = context.getPhase(ticket.phaseId)
+      return !!phase && phase.name.toLowerCase().includes(value)
+    }
+    case 'is':
+      if (value === 'blocked') return context.isBlocked(ticket)
+      return false
+    default:
+      return true
+  }
+}
+
+/**
+ * Whether a ticket matches a parsed query
+ *
+ * @param {Object} ticket - Store ticket
+ * @param {Object} parsed - Result of parseTicketQuery
+ * @param {Object} context - { getLabel(id), getPhase(id), isBlocked(ticket) }
+ * @returns {boolean}
+ */
+export function matchesTicketQuery(ticket, parsed, context) {
+  if (parsed.numbers.length > 0) {
+    if (!parsed.numbers.includes(normalizeTicketNumber(ticket.ticketNumber))) return false
+  }
+
+  for (const [key, values] of Object.entries(parsed.filters)) {
+    if (!values.some(value => matchesFilter(ticket, key, value, context))) return false
+  }
+
+  if (parsed.terms.length > 0) {
+    const haystack = searchableFields(ticket).map(f => f.text.toLowerCase()).join('\n')
+    if (!parsed.terms.every(term => haystack.includes(term))) return false
+  }
+
+  return true
+}
+
+/**
+ * Split text into segments for highlighting search terms
+ *
+ * @param {string} text - Text to display
+ * @param {string[]} terms - Lower-case search terms
+ * @returns {{ text: string, match: boolean }[]} - Segments in order
+ */
+export function highlightSegments(text, terms) {
+  if (!text) return []
+  if (!terms || terms.length === 0) return [{ text, match: false }]
+
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi')
+  return text.split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }))
+}
+
+/**
+ * Short excerpt around the first term match in a field that is not shown
+ * on the ticket card (acceptance criteria, value, comments)
+ *
+ * @param {Object} ticket - Store ticket
+ * @param {string[]} terms - Lower-case search terms
+ * @param {number} radius - Characters of context on each side
+ * @returns {{ field: string, text: string }|null} - Excerpt or null
+ */
+export function findHiddenMatch(ticket, terms, radius = 40) {
+  if (!terms || terms.length === 0) return null
+  const hidden = searchableFields(ticket).filter(f => !['ticketNumber', 'title', 'description', 'epic'].includes(f.field))
+  for (const { field, text } of hidden) {
+    const lower = text.toLowerCase()
+    const term = terms.find(t => lower.includes(t))
+    if (!term) continue
+    const index = lower.indexOf(term)
+    const start = Math.max(0, index - radius)
+    const end = Math.min(text.length, index + term.length + radius)
+    return {
+      field,
+      text: (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '')
+    }
+  }
+  return null
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { parseTicketQuery, matchesTicketQuery, normalizeTicketNumber } from './useTicketSearch.js'
+
+const context = { getLabel: () => null, getPhase: () => null, isBlocked: () => false }
+
+function search(query, tickets) {
+  const parsed = parseTicketQuery(query)
+  return tickets.filter(t => matchesTicketQuery(t, parsed, context)).map(t => t.ticketNumber)
+}
+
+const tickets = [
+  { ticketNumber: 'TM-01', title: 'Handelsnaam registreren' },
+  { ticketNumber: 'SM-01', title: 'Sensoren bestellen' },
+  { ticketNumber: 'GT-042', title: 'Login herstellen' }
+]
+
+describe('normalizeTicketNumber', () => {
+  it('ignores case and leading zeros', () => {
+    expect(normalizeTicketNumber('gt-042')).toBe('GT-42')
+    expect(normalizeTicketNumber('TM-01')).toBe('TM-1')
+  })
+
+  it('returns null for other text', () => {
+    expect(normalizeTicketNumber('login')).toBeNull()
+  })
+})
+
+describe('ticket number search', () => {
+  it('matches the prefix as well as the number', () => {
+    expect(search('TM-01', tickets)).toEqual(['TM-01'])
+    expect(search('sm-1', tickets)).toEqual(['SM-01'])
+    expect(search('GT-42', tickets)).toEqual(['GT-042'])
+  })
+
+  it('finds a prefix as free text', () => {
+    expect(search('tm', tickets)).toEqual(['TM-01'])
+  })
+})
@@ -0,0 +1,92 @@
+/**
+ * Ticket templates and recurring tickets
+ * Used by the project store and the ticket forms
+ *
+ * A recurring ticket gets a successor when it is marked done. The rule
+ * moves on to the successor, so reopening and closing the old ticket
+ * again doesn't create a second one.
+ */
+
+import { addIsoWeeks, isoWeekStart, toIsoWeek, currentIsoWeek, isIsoWeek } from './useIsoWeek.js'
+import { resetChecklist } from './useMarkdown.js'
+
+export const RECURRENCE_OPTIONS = [
+  { value: 'weekly', label: 'Wekelijks' },
+  { value: 'monthly', label: 'Maandelijks' }
+]
+
+// Ticket fields a template prefills
+export const TEMPLATE_FIELDS = ['title', 'epic', 'labels', 'priority', 'estimatedHours', 'acceptanceCriteria', 'recurrence']
+
+/**
+ * @param {string|null} recurrence - 'weekly', 'monthly' or null
+ * @returns {string} - Dutch label, '' without recurrence
+ */
+export function formatRecurrence(recurrence) {
+  return RECURRENCE_OPTIONS.find(o => o.value === recurrence)?.label || ''
+}
+
+/**
+ * Week of the next instance. Steps on from the planned week (or the
+ * current one when unplanned) and never lands in the past, so a ticket
+ * finished late doesn't produce an overdue successor.
+ *
+ * @param {string|null} week - ISO week value of the finished instance
+ * @param {string} recurrence - 'weekly' or 'monthly'
+ * @param {string} today - ISO week value of the current week
+ * @returns {string} - ISO week value
+ */
+export function nextRecurringWeek(week, recurrence, today = currentIsoWeek()) {
+  const step = from => {
+    if (recurrence === 'weekly') return addIsoWeeks(from, 1)
+    const date = isoWeekStart(from)
+    date.setMonth(date.getMonth() + 1)
+    return toIsoWeek(date)
+  }
+  let next = step(isIsoWeek(week) ? week : today)
+  while (next < today) next = step(next)
+  return next
+}
+
+/**
+ * Fields for the successor of a recurring ticket: the same work, an open
+ * checklist and the next planned week. Dependencies stay with the
+ * original.
+ *
+ * @param {Object} ticket - Store ticket being marked done
+ * @returns {Object} - Input for addTicket
+ */
+export function buildRecurringTicket(ticket) {
+  return {
+    title: ticket.title,
+    description: ticket.description,
+    phaseId: ticket.phaseId,
+    epic: ticket.epic,
+    priority: ticket.priority,
+    value: ticket.value,
+    acceptanceCriteria: resetChecklist(ticket.acceptanceCriteria),
+    estimatedHours: ticket.estimatedHours,
+    labels: [...(ticket.labels || [])],
+    recurrence: ticket.recurrence,
+    plannedWeek: nextRecurringWeek(ticket.plannedWeek, ticket.recurrence),
+    status: 'todo'
+  }
+}
+
+/**
+ * Ticket fields of a template, ready to merge into a new ticket form
+ *
+ * @param {Object} template - Stored template
+ * @returns {Object}
+ */
+export function templateToTicket(template) {
+  return {
+    title: template.title || '',
+    epic: template.epic || null,
+    labels: [...(template.labels || [])],
+    priority: template.priority || 'should',
+    estimatedHours: template.estimatedHours ?? null,
+    acceptanceCriteria: template.acceptanceCriteria || '',
+    recurrence: template.recurrence || null
+  }
+}
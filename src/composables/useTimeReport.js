@@ -0,0 +1,82 @@
+/**
+ * Estimate vs. actual reporting
+ * Used by the Uren view and the phase detail page to calibrate
+ * estimatedHours against logged time entries
+ */
+
+/**
+ * Hours logged on a ticket. Running timers don't count until stopped.
+ *
+ * @param {Object} ticket - Store ticket
+ * @returns {number}
+ */
+export function getActualHours(ticket) {
+  const total = (ticket.timeEntries || [])
+    .filter(e => !e.startedAt || e.endedAt)
+    .reduce((sum, e) => sum + (e.hours || 0), 0)
+  return Math.round(total * 100) / 100
+}
+
+/**
+ * Totals for a set of tickets
+ *
+ * Only tickets with logged time are compared: `estimated` and `actual`
+ * cover tickets that have both, so the ratio isn't skewed by work that
+ * hasn't started or was never estimated.
+ *
+ * @param {Object[]} tickets - Store tickets
+ * @returns {Object} - { ticketCount, trackedCount, estimated, actual, ratio, unestimatedHours, totalActual }
+ */
+export function summarizeTime(tickets) {
+  const summary = {
+    ticketCount: tickets.length,
+    trackedCount: 0,
+    estimated: 0,
+    actual: 0,
+    ratio: null,
+    unestimatedHours: 0,
+    totalActual: 0
+  }
+
+  tickets.forEach(ticket => {
+    const actual = getActualHours(ticket)
+    if (actual <= 0) return
+    summary.trackedCount++
+    summary.totalActual += actual
+    if (ticket.estimatedHours) {
+      summary.estimated += ticket.estimatedHours
+      summary.actual += actual
+    } else {
+      summary.unestimatedHours += actual
+    }
+  })
+
+  if (summary.estimated > 0) summary.ratio = summary.actual / summary.estimated
+  summary.actual = Math.round(summary.actual * 100) / 100
+  summary.unestimatedHours = Math.round(summary.unestimatedHours * 100) / 100
+  summary.totalActual = Math.round(summary.totalActual * 100) / 100
+  return summary
+}
+
+/**
+ * Estimate vs. actual per group. A ticket can belong to several groups
+ * (labels), or to none.
+ *
+ * @param {Object[]} tickets - Store tickets
+ * @param {Function} keysOf - Ticket → group keys (array)
+ * @param {Function} labelOf - Group key → display name
+ * @returns {Object[]} - summarizeTime() result plus { key, label }, most actual hours first
+ */
+export function groupTimeReport(tickets, keysOf, labelOf) {
+  const groups = new Map()
+  tickets.forEach(ticket => {
+    keysOf(ticket).forEach(key => {
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(ticket)
+    })
+  })
+
+  return [...groups.entries()]
+    .map(([key, groupTickets]) => ({ key, label: labelOf(key), ...summarizeTime(groupTickets) }))
+    .sort((a, b) => b.totalActual - a.totalActual || a.label.localeCompare(b.label))
+}
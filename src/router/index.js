@@ -1,5 +1,6 @@
 import { createRouter, createWebHistory } from 'vue-router'
-import { supabase, isAllowedEmail } from '../services/supabase'
+import { supabase } from '../services/supabase'
+import { loadAccess, clearAccess, can } from '../stores/accessStore'
 
 const routes = [
   {
@@ -16,47 +17,74 @@ const routes = [
   {
     path: '/roadmap',
     name: 'Roadmap',
-    component: () => import('../views/Dashboard.vue')
+    component: () => import('../views/Dashboard.vue'),
+    meta: { permission: 'roadmap' }
   },
   {
     path: '/fasen',
     name: 'Fasen',
-    component: () => import('../views/Fasen.vue')
+    component: () => import('../views/Fasen.vue'),
+    meta: { permission: 'roadmap' }
   },
   {
     path: '/fasen/:id',
     name: 'FaseDetail',
-    component: () => import('../views/FaseDetail.vue')
+    component: () => import('../views/FaseDetail.vue'),
+    meta: { permission: 'roadmap' }
   },
   {
     path: '/tickets',
     name: 'Tickets',
-    component: () => import('../views/Tickets.vue')
+    component: () => import('../views/Tickets.vue'),
+    meta: { permission: 'roadmap' }
   },
   {
     path: '/planning',
     name: 'Planning',
-    component: () => import('../views/Planning.vue')
+    component: () => import('../views/Planning.vue'),
+    meta: { permission: 'roadmap' }
+  },
+  {
+    path: '/uren',
+    name: 'Uren',
+    component: () => import('../views/Uren.vue'),
+    meta: { permission: 'roadmap' }
   },
   {
     path: '/wachtlijst',
     name: 'Wachtlijst',
-    component: () => import('../views/Wachtlijst.vue')
+    component: () => import('../views/Wachtlijst.vue'),
+    meta: { permission: 'waitlist' }
   },
   {
     path: '/marketing',
     name: 'Marketing',
-    component: () => import('../views/Marketing.vue')
+    component: () => import('../views/Marketing.vue'),
+    meta: { permission: 'marketing' }
   },
   {
     path: '/huishoudens',
     name: 'Huishoudens',
-    component: () => import('../views/Huishoudens.vue')
+    component: () => import('../views/Huishoudens.vue'),
+    meta: { permission: 'households' }
   },
   {
     path: '/analyse',
     name: 'Analyse',
-    component: () => import('../views/Analyse.vue')
+    component: () => import('../views/Analyse.vue'),
+    meta: { permission: 'analyse' }
+  },
+  {
+    path: '/instellingen',
+    name: 'Instellingen',
+    component: () => import('../views/Instellingen.vue'),
+    meta: { permission: 'users' }
+  },
+  {
+    path: '/auditlog',
+    name: 'Auditlog',
+    component: () => import('../views/Auditlog.vue'),
+    meta: { permission: 'audit' }
   }
 ]
 
@@ -65,16 +93,23 @@ const router = createRouter({
   routes
 })
 
+// Routes need a signed-in user with a role; `meta.permission` narrows
+// that to the roles that may open the section
 router.beforeEach(async (to) => {
   const requiresAuth = to.meta.requiresAuth !== false
 
   if (requiresAuth) {
     try {
       const { data: { session } } = await supabase.auth.getSession()
-      if (!session || !isAllowedEmail(session.user?.email)) {
+      const role = session ? await loadAccess() : null
+      if (!role) {
         if (session) await supabase.auth.signOut().catch(() => {})
+        clearAccess()
         return '/login'
       }
+      if (to.meta.permission && !can(to.meta.permission)) {
+        return '/'
+      }
     } catch {
       return '/login'
     }
@@ -83,7 +118,7 @@ router.beforeEach(async (to) => {
   if (to.path === '/login') {
     try {
       const { data: { session } } = await supabase.auth.getSession()
-      if (session && isAllowedEmail(session.user?.email)) {
+      if (session && await loadAccess()) {
         return '/'
       }
     } catch {
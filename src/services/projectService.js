@@ -1,9 +1,62 @@
 import { supabase, planningDb } from './supabase.js'
 
+// ============================================================
+// Optimistic concurrency
+// ============================================================
+
+// Thrown when a row changed since the version an update was based on.
+// `current` holds the row as it is now on the server.
+export class ConflictError extends Error {
+  constructor(current) {
+    super('Gewijzigd in een andere sessie')
+    this.name = 'ConflictError'
+    this.current = current
+  }
+}
+
+// Thrown by bulkUpdateTickets when rows changed since their expected
+// version. The other rows were written: `updated` holds them, `conflicts`
+// the rejected ones as { uuid, columns, expectedUpdatedAt, current }.
+export class BulkConflictError extends Error {
+  constructor(updated, conflicts) {
+    super(`${conflicts.length} tickets gewijzigd in een andere sessie`)
+    this.name = 'BulkConflictError'
+    this.updated = updated
+    this.conflicts = conflicts
+  }
+}
+
+// Updates one row, optionally only if `updated_at` still matches the
+// version the caller based its change on. Returns the updated row, or
+// null when the row no longer exists.
+async function versionedUpdate(table, uuid, updates, expectedUpdatedAt) {
+  let query = planningDb()
+    .from(table)
+    .update(updates)
+    .eq('id', uuid)
+  if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt)
+
+  const { data, error } = await query.select().maybeSingle()
+  if (error) throw error
+  if (data || !expectedUpdatedAt) return data
+
+  const { data: current, error: fetchError } = await planningDb()
+    .from(table)
+    .select('*')
+    .eq('id', uuid)
+    .maybeSingle()
+
+  if (fetchError) throw fetchError
+  if (current) throw new ConflictError(current)
+  return null
+}
+
 // ============================================================
 // Project
 // ============================================================
 
+// There is one project, shared by every admin user; it belongs to the
+// user who created it but is read and edited by all roles
 export async function fetchProject() {
   const { data: { session } } = await supabase.auth.getSession()
   if (!session) return null
@@ -11,7 +64,8 @@ export async function fetchProject() {
   const { data, error } = await supabase
     .from('projects')
     .select('*')
-    .eq('user_id', session.user.id)
+    .order('created_at')
+    .limit(1)
     .maybeSingle()
 
   if (error) throw error
@@ -67,10 +121,25 @@ export async function createPhases(phasesArray) {
   return data
 }
 
-export async function updatePhase(phaseUuid, updates) {
+export async function createPhase(phaseData) {
+  const { data, error } = await planningDb()
+    .from('project_phases')
+    .insert(phaseData)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+export async function updatePhase(phaseUuid, updates, expectedUpdatedAt = null) {
+  return versionedUpdate('project_phases', phaseUuid, updates, expectedUpdatedAt)
+}
+
+export async function deletePhase(phaseUuid) {
   const { error } = await planningDb()
     .from('project_phases')
-    .update(updates)
+    .delete()
     .eq('id', phaseUuid)
 
   if (error) throw error
@@ -90,10 +159,25 @@ export async function createCriteria(criteriaArray) {
   return data
 }
 
-export async function updateCriterion(criterionUuid, updates) {
+export async function createCriterion(criterionData) {
+  const { data, error } = await planningDb()
+    .from('phase_criteria')
+    .insert(criterionData)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+export async function updateCriterion(criterionUuid, updates, expectedUpdatedAt = null) {
+  return versionedUpdate('phase_criteria', criterionUuid, updates, expectedUpdatedAt)
+}
+
+export async function deleteCriterion(criterionUuid) {
   const { error } = await planningDb()
     .from('phase_criteria')
-    .update(updates)
+    .delete()
     .eq('id', criterionUuid)
 
   if (error) throw error
@@ -114,6 +198,18 @@ export async function createPurchase(purchaseData) {
   return data
 }
 
+export async function updatePurchase(purchaseUuid, updates) {
+  const { data, error } = await planningDb()
+    .from('phase_purchases')
+    .update(updates)
+    .eq('id', purchaseUuid)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
 export async function deletePurchase(purchaseUuid) {
   const { error } = await planningDb()
     .from('phase_purchases')
@@ -130,7 +226,11 @@ export async function deletePurchase(purchaseUuid) {
 export async function fetchTickets(projectId) {
   const { data, error } = await planningDb()
     .from('project_tickets')
-    .select('*')
+    .select(`
+      *,
+      ticket_time_entries ( * ),
+      ticket_comments ( * )
+    `)
     .eq('project_id', projectId)
     .order('created_at')
 
@@ -159,34 +259,259 @@ export async function createTicket(ticketData) {
   return data
 }
 
-export async function updateTicket(ticketUuid, updates) {
+export async function updateTicket(ticketUuid, updates, expectedUpdatedAt = null) {
+  return versionedUpdate('project_tickets', ticketUuid, updates, expectedUpdatedAt)
+}
+
+export async function deleteTicket(ticketUuid) {
   const { error } = await planningDb()
     .from('project_tickets')
-    .update(updates)
+    .delete()
     .eq('id', ticketUuid)
 
   if (error) throw error
 }
 
-export async function deleteTicket(ticketUuid) {
+// ============================================================
+// Ticket time entries
+// ============================================================
+
+export async function createTimeEntry(entryData) {
+  const { data, error } = await planningDb()
+    .from('ticket_time_entries')
+    .insert(entryData)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+export async function updateTimeEntry(entryUuid, updates) {
+  const { data, error } = await planningDb()
+    .from('ticket_time_entries')
+    .update(updates)
+    .eq('id', entryUuid)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+export async function deleteTimeEntry(entryUuid) {
   const { error } = await planningDb()
-    .from('project_tickets')
+    .from('ticket_time_entries')
     .delete()
-    .eq('id', ticketUuid)
+    .eq('id', entryUuid)
 
   if (error) throw error
 }
 
 // ============================================================
-// Bulk update (for dependency arrays after seed)
+// Ticket comments
 // ============================================================
 
+export async function createComment(commentData) {
+  const { data, error } = await planningDb()
+    .from('ticket_comments')
+    .insert(commentData)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+export async function updateComment(commentUuid, updates) {
+  const { data, error } = await planningDb()
+    .from('ticket_comments')
+    .update(updates)
+    .eq('id', commentUuid)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+export async function deleteComment(commentUuid) {
+  const { error } = await planningDb()
+    .from('ticket_comments')
+    .delete()
+    .eq('id', commentUuid)
+
+  if (error) throw error
+}
+
+// ============================================================
+// Ticket attachments (Supabase Storage)
+// ============================================================
+
+const ATTACHMENT_BUCKET = 'ticket-attachments'
+
+// Stored under project/ticket; the random prefix keeps equal file names apart
+export async function uploadAttachment(projectId, ticketUuid, file) {
+  const safeName = file.name.replace(/[^\w.-]+/g, '_')
+  const path = `${projectId}/${ticketUuid}/${crypto.randomUUID()}-${safeName}`
+  const { error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .upload(path, file, { contentType: file.type || undefined })
+
+  if (error) throw error
+  return path
+}
+
+// Purchase receipts share the bucket, under their own prefix
+export async function uploadReceipt(projectId, purchaseUuid, file) {
+  const safeName = file.name.replace(/[^\w.-]+/g, '_')
+  const path = `${projectId}/receipts/${purchaseUuid}/${crypto.randomUUID()}-${safeName}`
+  const { error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .upload(path, file, { contentType: file.type || undefined })
+
+  if (error) throw error
+  return path
+}
+
+export async function getAttachmentUrl(path, expiresIn = 3600) {
+  const { data, error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .createSignedUrl(path, expiresIn)
+
+  if (error) throw error
+  return data.signedUrl
+}
+
+export async function deleteAttachment(path) {
+  const { error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .remove([path])
+
+  if (error) throw error
+}
+
+// ============================================================
+// Ticket activity (append-only)
+// ============================================================
+
+export async function fetchRecentActivity(projectId, limit = 50) {
+  const { data, error } = await planningDb()
+    .from('ticket_activity')
+    .select('*')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (error) throw error
+  return data || []
+}
+
+export async function fetchTicketActivity(ticketUuid) {
+  const { data, error } = await planningDb()
+    .from('ticket_activity')
+    .select('*')
+    .eq('ticket_id', ticketUuid)
+    .order('created_at')
+
+  if (error) throw error
+  return data || []
+}
+
+export async function createActivity(activityArray) {
+  const { error } = await planningDb()
+    .from('ticket_activity')
+    .insert(activityArray)
+
+  if (error) throw error
+}
+
+// ============================================================
+// Bulk operations
+// ============================================================
+
+// Same update for many tickets in one request. Returns the updated rows.
+export async function updateTickets(ticketUuids, updates) {
+  const { data, error } = await planningDb()
+    .from('project_tickets')
+    .update(updates)
+    .in('id', ticketUuids)
+    .select()
+
+  if (error) throw error
+  return data || []
+}
+
+export async function deleteTickets(ticketUuids) {
+  const { error } = await planningDb()
+    .from('project_tickets')
+    .delete()
+    .in('id', ticketUuids)
+
+  if (error) throw error
+}
+
+// Per-ticket updates. Rows with an `expectedUpdatedAt` are checked like
+// single updates, one request each; the others share a request per set
+// of identical values. Returns the updated rows.
 export async function bulkUpdateTickets(updates) {
-  // updates = [{ uuid, depends_on, blocked_by }, ...]
-  for (const u of updates) {
-    await updateTicket(u.uuid, {
-      depends_on: u.depends_on,
-      blocked_by: u.blocked_by
-    })
+  // updates = [{ uuid, expectedUpdatedAt, ...columns }, ...]
+  const groups = new Map()
+  const rows = []
+  const conflicts = []
+
+  for (const { uuid, expectedUpdatedAt, ...columns } of updates) {
+    if (!expectedUpdatedAt) {
+      const key = JSON.stringify(columns)
+      if (!groups.has(key)) groups.set(key, { columns, uuids: [] })
+      groups.get(key).uuids.push(uuid)
+      continue
+    }
+    try {
+      const row = await updateTicket(uuid, columns, expectedUpdatedAt)
+      if (row) rows.push(row)
+    } catch (e) {
+      if (e.name !== 'ConflictError') throw e
+      // A retry after a partial failure finds its own earlier write
+      const applied = Object.entries(columns).every(([k, v]) => JSON.stringify(e.current[k] ?? null) === JSON.stringify(v ?? null))
+      if (applied) rows.push(e.current)
+      else conflicts.push({ uuid, columns, expectedUpdatedAt, current: e.current })
+    }
+  }
+
+  for (const { columns, uuids } of groups.values()) {
+    rows.push(...await updateTickets(uuids, columns))
   }
+  if (conflicts.length) throw new BulkConflictError(rows, conflicts)
+  return rows
+}
+
+// ============================================================
+// Realtime
+// ============================================================
+
+// Subscribes to row changes of one project. DELETE events can't be
+// filtered server-side, so those arrive for every project and the
+// handlers must ignore rows they don't know.
+export function subscribeToProject(projectId, { onTicket, onPhase, onProject, onTimeEntry, onComment, onActivity }) {
+  const projectFilter = `project_id=eq.${projectId}`
+  const channel = supabase
+    .channel(`project-${projectId}`)
+    .on('postgres_changes', { event: 'INSERT', schema: 'planning', table: 'project_tickets', filter: projectFilter }, onTicket)
+    .on('postgres_changes', { event: 'UPDATE', schema: 'planning', table: 'project_tickets', filter: projectFilter }, onTicket)
+    .on('postgres_changes', { event: 'DELETE', schema: 'planning', table: 'project_tickets' }, onTicket)
+    .on('postgres_changes', { event: 'INSERT', schema: 'planning', table: 'project_phases', filter: projectFilter }, onPhase)
+    .on('postgres_changes', { event: 'UPDATE', schema: 'planning', table: 'project_phases', filter: projectFilter }, onPhase)
+    .on('postgres_changes', { event: 'DELETE', schema: 'planning', table: 'project_phases' }, onPhase)
+    .on('postgres_changes', { event: 'INSERT', schema: 'planning', table: 'ticket_time_entries', filter: projectFilter }, onTimeEntry)
+    .on('postgres_changes', { event: 'UPDATE', schema: 'planning', table: 'ticket_time_entries', filter: projectFilter }, onTimeEntry)
+    .on('postgres_changes', { event: 'DELETE', schema: 'planning', table: 'ticket_time_entries' }, onTimeEntry)
+    .on('postgres_changes', { event: 'INSERT', schema: 'planning', table: 'ticket_comments', filter: projectFilter }, onComment)
+    .on('postgres_changes', { event: 'UPDATE', schema: 'planning', table: 'ticket_comments', filter: projectFilter }, onComment)
+    .on('postgres_changes', { event: 'DELETE', schema: 'planning', table: 'ticket_comments' }, onComment)
+    .on('postgres_changes', { event: 'INSERT', schema: 'planning', table: 'ticket_activity', filter: projectFilter }, onActivity)
+    .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'projects', filter: `id=eq.${projectId}` }, onProject)
+    .subscribe()
+
+  return () => supabase.removeChannel(channel)
 }
@@ -9,13 +9,6 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey)
 export const activityDb = () => supabase.schema('activity')
 export const planningDb = () => supabase.schema('planning')
 
-// Alleen deze e-mailadressen hebben toegang tot het admin portaal
-const ALLOWED_EMAILS = ['dirk.bakker@gmx.net']
-
-export function isAllowedEmail(email) {
-  return ALLOWED_EMAILS.includes(email?.toLowerCase())
-}
-
 export async function signIn(email, password) {
   const { data, error } = await supabase.auth.signInWithPassword({
     email,
@@ -23,8 +16,8 @@ export async function signIn(email, password) {
   })
   if (error) throw error
 
-  // Check of het e-mailadres toegang heeft
-  if (!isAllowedEmail(data.user?.email)) {
+  // Check of het e-mailadres een rol heeft in admin_users
+  if (!(await getAdminRole(data.user?.email))) {
     await supabase.auth.signOut()
     throw new Error('Geen toegang. Dit portaal is alleen beschikbaar voor beheerders.')
   }
@@ -37,6 +30,83 @@ export async function signOut() {
   if (error) throw error
 }
 
+// ============================================================
+// Admin users (planning.admin_users — toegang en rollen)
+// ============================================================
+
+// Rol van een e-mailadres, of null zonder toegang
+export async function getAdminRole(email) {
+  if (!email) return null
+  const { data, error } = await planningDb()
+    .from('admin_users')
+    .select('role')
+    .eq('email', email.toLowerCase())
+    .maybeSingle()
+
+  if (error) throw error
+  return data?.role || null
+}
+
+export async function getAdminUsers() {
+  const { data, error } = await planningDb()
+    .from('admin_users')
+    .select('email, role, created_at, updated_at')
+    .order('email')
+
+  if (error) throw error
+  return data || []
+}
+
+export async function saveAdminUser(email, role) {
+  const { data, error } = await planningDb()
+    .from('admin_users')
+    .upsert({ email: email.toLowerCase(), role, updated_at: new Date().toISOString() }, { onConflict: 'email' })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+export async function deleteAdminUser(email) {
+  const { error } = await planningDb()
+    .from('admin_users')
+    .delete()
+    .eq('email', email.toLowerCase())
+
+  if (error) throw error
+}
+
+// ============================================================
+// Audit log (planning.audit_log — wie heeft welke gegevens ingezien)
+// ============================================================
+
+export async function insertAuditEntry(entry) {
+  const { error } = await planningDb()
+    .from('audit_log')
+    .insert(entry)
+
+  if (error) throw error
+}
+
+// Filters: from/to (ISO tijdstippen, inclusief), userEmail, action
+export async function getAuditLog({ from, to, userEmail, action, limit = 1000 } = {}) {
+  let query = planningDb()
+    .from('audit_log')
+    .select('id, created_at, user_email, action, target_type, target_id, target_label, details')
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (from) query = query.gte('created_at', from)
+  if (to) query = query.lte('created_at', to)
+  if (userEmail) query = query.eq('user_email', userEmail)
+  if (action) query = query.eq('action', action)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
 // ============================================================
 // Households
 // ============================================================
@@ -0,0 +1,100 @@
+import { reactive } from 'vue'
+import { supabase, getAdminRole } from '../services/supabase'
+import { enqueue, setQueueUser } from './writeQueue.js'
+
+// ============================================================
+// Admin users and roles
+// ============================================================
+//
+// Access is granted per e-mail address in planning.admin_users, managed
+// by owners on the settings page. A role is a set of permissions: one per
+// section of the portal, plus 'edit' for changing roadmap data, 'users'
+// for managing access and 'audit' for reading the audit log. The checks
+// here decide what is shown; row level security enforces the same matrix
+// in the database (planning.admin_can in supabase/migrations), so keep
+// the two in sync.
+//
+// Looking at, changing and exporting personal data is recorded in the
+// audit log (see useAuditLog.js for the actions). Entries go through the
+// write queue, so a failed insert is retried and shows up in the sync
+// status instead of being lost; unlike other writes they can't be
+// discarded there.
+
+export const ROLES = [
+  { value: 'owner', label: 'Eigenaar', description: 'Alles, inclusief gebruikers, rollen en de auditlog' },
+  { value: 'editor', label: 'Bewerker', description: 'Alle onderdelen bekijken en de roadmap bewerken' },
+  { value: 'viewer', label: 'Lezer', description: 'Alle onderdelen bekijken, niets wijzigen' },
+  { value: 'support', label: 'Support', description: 'Huishoudens, analyse en wachtlijst; geen roadmap of budgetten' }
+]
+
+const PERMISSIONS = {
+  owner: ['roadmap', 'edit', 'waitlist', 'marketing', 'households', 'analyse', 'users', 'audit'],
+  editor: ['roadmap', 'edit', 'waitlist', 'marketing', 'households', 'analyse'],
+  viewer: ['roadmap', 'waitlist', 'marketing', 'households', 'analyse'],
+  support: ['waitlist', 'households', 'analyse']
+}
+
+export const access = reactive({
+  email: null,
+  role: null
+})
+
+/**
+ * Role of the signed-in user, fetched once per address. Also switches
+ * the write queue to that user's queue.
+ *
+ * @returns {Promise<string|null>} - Role, or null without session or access
+ */
+export async function loadAccess() {
+  const { data: { session } } = await supabase.auth.getSession()
+  const email = session?.user?.email?.toLowerCase() || null
+  if (email !== access.email) {
+    access.role = email ? await getAdminRole(email) : null
+    access.email = email
+    setQueueUser(access.role ? email : null)
+  }
+  return access.role
+}
+
+export function clearAccess() {
+  access.email = null
+  access.role = null
+  setQueueUser(null)
+}
+
+/**
+ * @param {string} permission - 'roadmap', 'edit', 'waitlist', 'marketing', 'households', 'analyse', 'users' or 'audit'
+ * @param {string} role - Defaults to the signed-in user's role
+ * @returns {boolean}
+ */
+export function can(permission, role = access.role) {
+  return (PERMISSIONS[role] || []).includes(permission)
+}
+
+/**
+ * @param {string} role - Role value
+ * @returns {string} - Dutch label
+ */
+export function formatRole(role) {
+  return ROLES.find(r => r.value === role)?.label || role
+}
+
+/**
+ * Record an access in the audit log. The entry is queued and the page
+ * doesn't wait for it; the database stamps it with the signed-in user
+ * and its own time.
+ *
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} target - { type, id, label } of what was accessed
+ * @param {Object} details - Extra context, e.g. { date }
+ */
+export function audit(action, target = {}, details = null) {
+  enqueue('insertAuditEntry', [{
+    id: crypto.randomUUID(),
+    action,
+    target_type: target.type || null,
+    target_id: target.id === undefined || target.id === null ? null : String(target.id),
+    target_label: target.label || null,
+    details
+  }], 'Auditlog bijwerken')
+}
@@ -0,0 +1,76 @@
+import { reactive } from 'vue'
+import { audit } from './accessStore.js'
+
+// ============================================================
+// Privacy mode
+// ============================================================
+//
+// While privacy mode is on, names, e-mail addresses and postcodes of
+// households, members and waitlist signups are replaced by pseudonyms
+// (see usePseudonyms.js), so pages can be shown during screen-shares and
+// demos. It is on by default and the choice is kept per browser.
+//
+// Seeing the real identity is a deliberate action: either revealing one
+// subject (a household or a signup) or switching privacy mode off. Both
+// are recorded in the audit log. Reveals last until privacy mode is
+// switched on again or the user logs out.
+
+const STORAGE_KEY = 'gerustthuis-admin:privacy-mode'
+
+export const privacy = reactive({
+  enabled: loadEnabled(),
+  revealed: {} // 'household:<id>' / 'signup:<id>' → true
+})
+
+function loadEnabled() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) !== 'off'
+  } catch {
+    return true
+  }
+}
+
+function saveEnabled() {
+  try {
+    localStorage.setItem(STORAGE_KEY, privacy.enabled ? 'on' : 'off')
+  } catch (e) {
+    console.error('Failed to save privacy mode:', e)
+  }
+}
+
+/**
+ * @param {string} key - Subject key, e.g. 'household:<id>'
+ * @returns {boolean} - True when the real identity may be shown
+ */
+export function isRevealed(key) {
+  return !privacy.enabled || !!privacy.revealed[key]
+}
+
+/**
+ * Show the real identity of one subject and log it
+ *
+ * @param {string} key - Subject key, e.g. 'household:<id>'
+ * @param {Object} target - { type, id, label } for the audit log
+ */
+export function reveal(key, target) {
+  if (isRevealed(key)) return
+  privacy.revealed[key] = true
+  audit('identity.reveal', target)
+}
+
+export function enablePrivacy() {
+  privacy.enabled = true
+  privacy.revealed = {}
+  saveEnabled()
+}
+
+export function disablePrivacy() {
+  if (!privacy.enabled) return
+  privacy.enabled = false
+  saveEnabled()
+  audit('privacy.disable', { type: 'privacy_mode' })
+}
+
+export function hideRevealed() {
+  privacy.revealed = {}
+}
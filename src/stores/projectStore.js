@@ -2,6 +2,18 @@ import { reactive } from 'vue'
 import { initialData } from '../data/projectplan.js'
 import { supabase } from '../services/supabase.js'
 import * as api from '../services/projectService.js'
+import { can, audit } from './accessStore.js'
+import { writeQueue, enqueue, flushQueue, hasPendingWrite, getConflictItem, discardItem, onQueueEvent } from './writeQueue.js'
+import { validateImportData, diffImport, purchaseKey } from '../composables/useProjectImport.js'
+import { wouldCreateCycle } from '../composables/useDependencyGraph.js'
+import { isIsoWeek, migrateLegacyWeek, currentIsoWeek, formatIsoWeek } from '../composables/useIsoWeek.js'
+import { DEFAULT_WEEKLY_CAPACITY, getWeekCapacity, planAutoLevel } from '../composables/useCapacity.js'
+import { buildActivityEntries } from '../composables/useActivityLog.js'
+import { getChecklistProgress } from '../composables/useMarkdown.js'
+import { buildRecurringTicket } from '../composables/useTicketTemplates.js'
+import { buildGateSnapshot } from '../composables/useGateReport.js'
+import { evaluateMetric, loadMetricValues } from '../composables/useCriteriaMetrics.js'
+import { purchaseSpent } from '../composables/useBudget.js'
 
 // ============================================================
 // Internal ID mapping (integer ↔ UUID)
@@ -15,6 +27,8 @@ const purchaseLocalToUuid = new Map() // local purchase id → Supabase UUID
 
 let projectUuid = null
 let localIdCounter = 1000 // Start high to avoid collision with seed IDs
+let unsubscribeRealtime = null
+let currentUserEmail = null
 
 function registerTicketMapping(localId, uuid) {
   ticketLocalToUuid.set(localId, uuid)
@@ -31,6 +45,13 @@ function mapUuidsToLocalIds(uuids) {
   return uuids.map(uuid => ticketUuidToLocal.get(uuid)).filter(id => id !== undefined)
 }
 
+function phaseNumberFromUuid(uuid) {
+  for (const [number, id] of phaseNumberToUuid) {
+    if (id === uuid) return number
+  }
+  return null
+}
+
 // ============================================================
 // Reactive store
 // ============================================================
@@ -42,7 +63,11 @@ export const store = reactive({
   phases: [],
   tickets: [],
   labels: [],
-  nextTicketNumber: 1
+  capacity: { weeklyHours: DEFAULT_WEEKLY_CAPACITY, exceptions: {} },
+  templates: [],
+  exchangeRates: {}, // currency → value of 1 unit in the project currency
+  nextTicketNumber: 1,
+  activity: [] // recent ticket activity, newest first
 })
 
 // ============================================================
@@ -54,13 +79,22 @@ export async function initStore() {
   store.error = null
 
   try {
+    // Push changes left over from a previous session before loading,
+    // so the hydrated state already contains them
+    await flushQueue()
+
+    const { data: { session } } = await supabase.auth.getSession()
+    currentUserEmail = session?.user?.email || null
+
     const project = await api.fetchProject()
 
     if (project) {
       projectUuid = project.id
       await hydrateFromSupabase(project)
-    } else {
+    } else if (can('edit')) {
       await seedFromInitialData()
+    } else {
+      throw new Error('Er is nog geen project. Een eigenaar of bewerker moet het portaal eerst openen.')
     }
   } catch (e) {
     console.error('Failed to init project store:', e)
@@ -74,11 +108,69 @@ export async function initStore() {
 // Hydrate store from Supabase data
 // ============================================================
 
+// Writes still in the queue (made offline, or failing) are not on the
+// server yet. They are laid over the fetched rows in queue order, so a
+// reload keeps showing them and their UUIDs get local ids again.
+const findRow = (rows, id) => rows.find(r => r.id === id)
+
+function insertRow(rows, row, embedded = {}) {
+  if (row && !findRow(rows, row.id)) rows.push({ ...embedded, ...row })
+}
+
+function updateRow(row, columns) {
+  if (row) Object.assign(row, columns)
+}
+
+function removeRow(rows, id) {
+  const index = rows.findIndex(r => r.id === id)
+  if (index !== -1) rows.splice(index, 1)
+}
+
+function overlayPendingWrites(project, phases, tickets) {
+  const phaseChildren = key => phases.flatMap(p => p[key] || [])
+  const ticketChildren = key => tickets.flatMap(t => t[key] || [])
+  const withParent = (parents, parentId, key, fn) => {
+    const parent = findRow(parents, parentId)
+    if (!parent) return
+    parent[key] = parent[key] || []
+    fn(parent[key])
+  }
+  const removeChild = (parents, key, id) => parents.forEach(p => removeRow(p[key] || [], id))
+
+  const overlays = {
+    updateProject: ([uuid, columns]) => updateRow(uuid === project.id ? project : null, columns),
+    createPhase: ([row]) => insertRow(phases, row, { phase_criteria: [], phase_purchases: [] }),
+    updatePhase: ([uuid, columns]) => updateRow(findRow(phases, uuid), columns),
+    deletePhase: ([uuid]) => removeRow(phases, uuid),
+    createCriterion: ([row]) => withParent(phases, row.phase_id, 'phase_criteria', rows => insertRow(rows, row)),
+    updateCriterion: ([uuid, columns]) => updateRow(findRow(phaseChildren('phase_criteria'), uuid), columns),
+    deleteCriterion: ([uuid]) => removeChild(phases, 'phase_criteria', uuid),
+    createPurchase: ([row]) => withParent(phases, row.phase_id, 'phase_purchases', rows => insertRow(rows, row)),
+    updatePurchase: ([uuid, columns]) => updateRow(findRow(phaseChildren('phase_purchases'), uuid), columns),
+    deletePurchase: ([uuid]) => removeChild(phases, 'phase_purchases', uuid),
+    createTicket: ([row]) => insertRow(tickets, row, { ticket_time_entries: [], ticket_comments: [] }),
+    updateTicket: ([uuid, columns]) => updateRow(findRow(tickets, uuid), columns),
+    bulkUpdateTickets: ([rows]) => rows.forEach(({ uuid, expectedUpdatedAt, ...columns }) => updateRow(findRow(tickets, uuid), columns)),
+    deleteTicket: ([uuid]) => removeRow(tickets, uuid),
+    deleteTickets: ([uuids]) => uuids.forEach(uuid => removeRow(tickets, uuid)),
+    createTimeEntry: ([row]) => withParent(tickets, row.ticket_id, 'ticket_time_entries', rows => insertRow(rows, row)),
+    updateTimeEntry: ([uuid, columns]) => updateRow(findRow(ticketChildren('ticket_time_entries'), uuid), columns),
+    deleteTimeEntry: ([uuid]) => removeChild(tickets, 'ticket_time_entries', uuid),
+    createComment: ([row]) => withParent(tickets, row.ticket_id, 'ticket_comments', rows => insertRow(rows, row)),
+    updateComment: ([uuid, columns]) => updateRow(findRow(ticketChildren('ticket_comments'), uuid), columns),
+    deleteComment: ([uuid]) => removeChild(tickets, 'ticket_comments', uuid)
+  }
+
+  writeQueue.items.forEach(item => overlays[item.op]?.(item.args))
+}
+
 async function hydrateFromSupabase(project) {
-  const [phases, tickets] = await Promise.all([
+  const [phases, tickets, activity] = await Promise.all([
     api.fetchPhases(project.id),
-    api.fetchTickets(project.id)
+    api.fetchTickets(project.id),
+    api.fetchRecentActivity(project.id, MAX_ACTIVITY)
   ])
+  overlayPendingWrites(project, phases, tickets)
 
   // Map project
   store.project = {
@@ -88,6 +180,9 @@ async function hydrateFromSupabase(project) {
     currency: project.currency || 'EUR'
   }
   store.labels = project.labels || []
+  store.capacity = mapCapacity(project)
+  store.templates = project.ticket_templates || []
+  store.exchangeRates = project.exchange_rates || {}
   store.nextTicketNumber = project.next_ticket_number || 1
 
   // Map phases
@@ -95,88 +190,362 @@ async function hydrateFromSupabase(project) {
   criterionKeyToUuid.clear()
   purchaseLocalToUuid.clear()
 
-  store.phases = phases.map(p => {
-    phaseNumberToUuid.set(p.phase_number, p.id)
-
-    const criteria = (p.phase_criteria || []).map(c => {
-      criterionKeyToUuid.set(`${p.phase_number}-${c.criterion_key}`, c.id)
-      // Also store just the criterion_key for lookup
-      criterionKeyToUuid.set(c.criterion_key, c.id)
-      return {
-        id: c.criterion_key,
-        _uuid: c.id,
-        description: c.description,
-        completed: c.completed
-      }
-    })
-
-    const purchases = (p.phase_purchases || []).map(pp => {
-      const localId = Date.now() + Math.random() * 1000 | 0
-      purchaseLocalToUuid.set(localId, pp.id)
-      return {
-        id: localId,
-        _uuid: pp.id,
-        description: pp.description,
-        amount: Number(pp.amount),
-        date: pp.purchase_date
-      }
-    })
-
-    return {
-      id: p.phase_number,
-      _uuid: p.id,
-      name: p.name,
-      description: p.description,
-      goal: p.goal,
-      targetDate: p.target_date,
-      measurement: p.measurement,
-      status: p.status,
-      budget: p.budget ? Number(p.budget) : null,
-      spent: 0, // computed from purchases
-      noGoAction: p.no_go_action,
-      goNoGoCriteria: criteria,
-      purchases: purchases,
-      goNoGoDecision: p.go_no_go_decision || null
-    }
-  })
+  store.phases = phases.map(p => mapPhaseRow(p))
+  sortPhases()
 
   // Map tickets — first pass: build UUID mapping
   ticketLocalToUuid.clear()
   ticketUuidToLocal.clear()
   localIdCounter = 1000
 
-  // Build phase UUID → number map for reverse lookup
-  const phaseUuidToNumber = new Map()
-  phases.forEach(p => phaseUuidToNumber.set(p.id, p.phase_number))
-
   // Assign local IDs and register mappings
-  const ticketObjects = tickets.map(t => {
-    const localId = localIdCounter++
-    registerTicketMapping(localId, t.id)
-    return { ...t, _localId: localId }
+  tickets.forEach(t => registerTicketMapping(localIdCounter++, t.id))
+
+  // Comments used to live in a JSON column on the ticket; move them to
+  // ticket_comments once. The ids are derived from the old ones, so a
+  // second session doing the same hits the primary key instead of
+  // duplicating them.
+  const legacyComments = tickets.filter(t => t.comments?.length && t.ticket_comments)
+  legacyComments.forEach(t => {
+    const known = new Set(t.ticket_comments.map(c => c.id))
+    const rows = t.comments
+      .map((c, i) => commentToDbRow(t.id, { ...c, id: legacyCommentUuid(t.id, c.id, i), parentId: null, author: null }))
+      .filter(row => !known.has(row.id))
+    rows.forEach(row => enqueue('createComment', [row], `Comments ${t.ticket_number} overzetten`))
+    t.ticket_comments = [...t.ticket_comments, ...rows]
   })
+  if (legacyComments.length) {
+    enqueue('bulkUpdateTickets', [legacyComments.map(t => ({ uuid: t.id, comments: [] }))], 'Oude comments opruimen')
+  }
 
   // Second pass: map dependencies (which reference UUIDs) to local IDs
-  store.tickets = ticketObjects.map(t => ({
-    id: t._localId,
+  store.tickets = tickets.map(t => mapTicketRow(t))
+  store.activity = activity.map(mapActivityRow)
+
+  // Integer planned weeks predate ISO week values; write the converted
+  // values back once
+  const legacyWeeks = store.tickets
+    .filter((t, i) => tickets[i].planned_week != null && !isIsoWeek(tickets[i].planned_week))
+    .map(t => ({ uuid: t._uuid, planned_week: t.plannedWeek }))
+  if (legacyWeeks.length) {
+    enqueue('bulkUpdateTickets', [legacyWeeks], 'Geplande weken omzetten naar ISO-weken')
+  }
+
+  // Local ids were reassigned, so recorded history no longer applies
+  clearHistory()
+  subscribeRealtime()
+}
+
+// Criteria with a metric source are evaluated instead of ticked by hand
+function mapCriterionMetric(c) {
+  if (!c.metric_source) return null
+  return {
+    source: c.metric_source,
+    comparison: c.metric_comparison || '>=',
+    target: Number(c.metric_target) || 0
+  }
+}
+
+function criterionMetricToDb(metric) {
+  return {
+    metric_source: metric?.source || null,
+    metric_comparison: metric?.comparison || null,
+    metric_target: metric ? metric.target : null
+  }
+}
+
+// Criteria without a position (created before reordering existed) go
+// last, in key order
+function compareCriterionRows(a, b) {
+  const position = (a.position ?? Infinity) - (b.position ?? Infinity)
+  if (position) return position
+  return a.criterion_key.localeCompare(b.criterion_key, undefined, { numeric: true })
+}
+
+// Phases are shown and activated in their configured order; the phase
+// number stays their id
+function sortPhases() {
+  store.phases.sort((a, b) => a.position - b.position || a.id - b.id)
+}
+
+// Row → store object. Criteria and purchases are only present on rows
+// from fetchPhases; realtime rows keep the ones already in the store.
+function mapPhaseRow(p, existing = null) {
+  phaseNumberToUuid.set(p.phase_number, p.id)
+
+  const criteria = p.phase_criteria
+    ? [...p.phase_criteria].sort(compareCriterionRows).map((c, index) => {
+        criterionKeyToUuid.set(`${p.phase_number}-${c.criterion_key}`, c.id)
+        // Also store just the criterion_key for lookup
+        criterionKeyToUuid.set(c.criterion_key, c.id)
+        return {
+          id: c.criterion_key,
+          _uuid: c.id,
+          _updatedAt: c.updated_at || null,
+          description: c.description,
+          completed: c.completed,
+          metric: mapCriterionMetric(c),
+          position: c.position ?? index + 1
+        }
+      })
+    : existing?.goNoGoCriteria || []
+
+  const purchases = p.phase_purchases
+    ? p.phase_purchases.map(pp => {
+        const localId = Date.now() + Math.random() * 1000 | 0
+        purchaseLocalToUuid.set(localId, pp.id)
+        return {
+          id: localId,
+          _uuid: pp.id,
+          description: pp.description,
+          amount: Number(pp.amount),
+          date: pp.purchase_date,
+          category: pp.category || null,
+          recurrence: pp.recurrence || null,
+          endDate: pp.end_date || null,
+          currency: pp.currency || null,
+          vatRate: pp.vat_rate === null || pp.vat_rate === undefined ? null : Number(pp.vat_rate),
+          vatIncluded: pp.vat_included !== false,
+          receipt: pp.receipt || null
+        }
+      })
+    : existing?.purchases || []
+
+  return {
+    id: p.phase_number,
+    _uuid: p.id,
+    _updatedAt: p.updated_at || null,
+    name: p.name,
+    description: p.description,
+    goal: p.goal,
+    targetDate: p.target_date,
+    measurement: p.measurement,
+    status: p.status,
+    position: p.position ?? p.phase_number,
+    budget: p.budget ? Number(p.budget) : null,
+    spent: 0, // computed from purchases
+    noGoAction: p.no_go_action,
+    goNoGoCriteria: criteria,
+    purchases: purchases,
+    goNoGoDecision: p.go_no_go_decision || null,
+    // Phases decided before the history existed start with their one decision
+    goNoGoDecisions: p.go_no_go_decisions?.length
+      ? p.go_no_go_decisions
+      : p.go_no_go_decision ? [p.go_no_go_decision] : []
+  }
+}
+
+function mapActivityRow(a) {
+  return {
+    id: a.id,
+    ticketUuid: a.ticket_id,
+    ticketNumber: a.ticket_number,
+    action: a.action,
+    field: a.field,
+    oldValue: a.old_value,
+    newValue: a.new_value,
+    user: a.user_email,
+    at: a.created_at
+  }
+}
+
+function mapCapacity(project) {
+  return {
+    weeklyHours: project.weekly_capacity ?? DEFAULT_WEEKLY_CAPACITY,
+    exceptions: project.capacity_exceptions || {}
+  }
+}
+
+// Expects the ticket's own UUID to be registered already. Time entries
+// are fetched embedded; realtime and update rows come without them, so
+// the entries of the existing ticket are kept
+function mapTicketRow(t, existing = null) {
+  return {
+    id: ticketUuidToLocal.get(t.id),
     _uuid: t.id,
+    _updatedAt: t.updated_at || null,
     ticketNumber: t.ticket_number,
     title: t.title,
     description: t.description || '',
-    phaseId: phaseUuidToNumber.get(t.phase_id) || null,
+    phaseId: phaseNumberFromUuid(t.phase_id),
     epic: t.epic,
     status: t.status,
     priority: t.priority,
     value: t.value || '',
     acceptanceCriteria: t.acceptance_criteria || '',
     estimatedHours: t.estimated_hours ? Number(t.estimated_hours) : null,
-    plannedWeek: t.planned_week,
+    plannedWeek: migrateLegacyWeek(t.planned_week, t.created_at || undefined),
     dependsOn: mapUuidsToLocalIds(t.depends_on || []),
     blockedBy: mapUuidsToLocalIds(t.blocked_by || []),
     labels: t.labels || [],
-    comments: t.comments || [],
+    comments: t.ticket_comments
+      ? t.ticket_comments.map(mapCommentRow).sort(compareComments)
+      : existing?.comments || [],
+    recurrence: t.recurrence || null,
+    statusHistory: t.status_history || [],
+    attachments: t.attachments || [],
+    timeEntries: t.ticket_time_entries
+      ? t.ticket_time_entries.map(mapTimeEntryRow).sort(compareTimeEntries)
+      : existing?.timeEntries || [],
     createdAt: t.created_at
-  }))
+  }
+}
+
+// Timer entries have startedAt (and endedAt once stopped); manual entries
+// only a date and hours
+function mapTimeEntryRow(e) {
+  return {
+    id: e.id,
+    date: e.entry_date,
+    hours: e.hours ? Number(e.hours) : 0,
+    note: e.note || '',
+    startedAt: e.started_at || null,
+    endedAt: e.ended_at || null
+  }
+}
+
+function compareTimeEntries(a, b) {
+  return (a.startedAt || a.date).localeCompare(b.startedAt || b.date)
+}
+
+// Replies point to a top-level comment through parentId
+function mapCommentRow(c) {
+  return {
+    id: c.id,
+    parentId: c.parent_id || null,
+    author: c.author_email || null,
+    text: c.text,
+    createdAt: c.created_at,
+    editedAt: c.edited_at || null
+  }
+}
+
+function compareComments(a, b) {
+  return (a.createdAt || '').localeCompare(b.createdAt || '')
+}
+
+// ============================================================
+// Realtime — merge changes from other tabs and users
+// ============================================================
+
+function subscribeRealtime() {
+  if (unsubscribeRealtime) unsubscribeRealtime()
+  unsubscribeRealtime = null
+  if (!projectUuid) return
+
+  unsubscribeRealtime = api.subscribeToProject(projectUuid, {
+    onTicket: applyRemoteTicketChange,
+    onPhase: applyRemotePhaseChange,
+    onProject: applyRemoteProjectChange,
+    onTimeEntry: applyRemoteTimeEntryChange,
+    onComment: applyRemoteCommentChange,
+    onActivity: applyRemoteActivity
+  })
+}
+
+function applyRemoteTicketChange({ eventType, new: row, old }) {
+  if (eventType === 'DELETE') {
+    const localId = ticketUuidToLocal.get(old.id)
+    if (localId === undefined) return
+    store.tickets = store.tickets.filter(t => t.id !== localId)
+    store.tickets.forEach(t => {
+      if (t.dependsOn?.includes(localId)) t.dependsOn = t.dependsOn.filter(id => id !== localId)
+      if (t.blockedBy?.includes(localId)) t.blockedBy = t.blockedBy.filter(id => id !== localId)
+    })
+    ticketLocalToUuid.delete(localId)
+    ticketUuidToLocal.delete(old.id)
+    return
+  }
+
+  // Our own unsent edits are newer than whatever the server echoes back
+  if (hasPendingWrite(row.id)) return
+
+  if (!ticketUuidToLocal.has(row.id)) {
+    registerTicketMapping(localIdCounter++, row.id)
+  }
+  const existing = store.tickets.find(t => t._uuid === row.id)
+  const mapped = mapTicketRow(row, existing)
+  if (existing) {
+    Object.assign(existing, mapped)
+  } else {
+    store.tickets.push(mapped)
+  }
+
+  // Dependency arrays of other tickets may reference this one by UUID
+  // from before it was known locally; re-resolve the reverse links.
+  store.tickets.forEach(t => {
+    if (t.id === mapped.id) return
+    const dependsOnThis = mapped.blockedBy.includes(t.id)
+    if (dependsOnThis && !t.dependsOn.includes(mapped.id)) t.dependsOn = [...t.dependsOn, mapped.id]
+    const blockedByThis = mapped.dependsOn.includes(t.id)
+    if (blockedByThis && !t.blockedBy.includes(mapped.id)) t.blockedBy = [...t.blockedBy, mapped.id]
+  })
+}
+
+function applyRemoteTimeEntryChange({ eventType, new: row, old }) {
+  if (eventType === 'DELETE') {
+    store.tickets.forEach(t => {
+      if (t.timeEntries?.some(e => e.id === old.id)) t.timeEntries = t.timeEntries.filter(e => e.id !== old.id)
+    })
+    return
+  }
+
+  if (hasPendingWrite(row.id)) return
+  const ticket = store.tickets.find(t => t._uuid === row.ticket_id)
+  if (!ticket) return
+  const mapped = mapTimeEntryRow(row)
+  const others = (ticket.timeEntries || []).filter(e => e.id !== row.id)
+  ticket.timeEntries = [...others, mapped].sort(compareTimeEntries)
+}
+
+function applyRemoteCommentChange({ eventType, new: row, old }) {
+  if (eventType === 'DELETE') {
+    store.tickets.forEach(t => {
+      if (t.comments?.some(c => c.id === old.id)) t.comments = t.comments.filter(c => c.id !== old.id)
+    })
+    return
+  }
+
+  if (hasPendingWrite(row.id)) return
+  const ticket = store.tickets.find(t => t._uuid === row.ticket_id)
+  if (!ticket) return
+  const others = (ticket.comments || []).filter(c => c.id !== row.id)
+  ticket.comments = [...others, mapCommentRow(row)].sort(compareComments)
+}
+
+function applyRemoteActivity({ new: row }) {
+  if (store.activity.some(a => a.id === row.id)) return
+  store.activity = [mapActivityRow(row), ...store.activity].slice(0, MAX_ACTIVITY)
+}
+
+function applyRemotePhaseChange({ eventType, new: row, old }) {
+  if (eventType === 'DELETE') {
+    const number = phaseNumberFromUuid(old.id)
+    if (number === null) return
+    store.phases = store.phases.filter(p => p.id !== number)
+    phaseNumberToUuid.delete(number)
+    return
+  }
+
+  if (hasPendingWrite(row.id)) return
+
+  const index = store.phases.findIndex(p => p._uuid === row.id)
+  const mapped = mapPhaseRow(row, index !== -1 ? store.phases[index] : null)
+  if (index !== -1) {
+    Object.assign(store.phases[index], mapped)
+  } else {
+    store.phases.push(mapped)
+  }
+  sortPhases()
+}
+
+function applyRemoteProjectChange({ new: row }) {
+  if (hasPendingWrite(row.id)) return
+  store.labels = row.labels || []
+  store.capacity = mapCapacity(row)
+  store.templates = row.ticket_templates || []
+  store.exchangeRates = row.exchange_rates || {}
+  store.nextTicketNumber = Math.max(store.nextTicketNumber || 1, row.next_ticket_number || 1)
 }
 
 // ============================================================
@@ -199,6 +568,10 @@ async function seedFromInitialData() {
       { id: 'content', name: 'Content (tekst/beeld)', color: '#7c3aed' },
       { id: 'dev', name: 'Dev actie', color: '#059669' }
     ],
+    weekly_capacity: DEFAULT_WEEKLY_CAPACITY,
+    capacity_exceptions: {},
+    ticket_templates: [],
+    exchange_rates: {},
     next_ticket_number: initialData.nextTicketNumber || 63
   })
   projectUuid = project.id
@@ -213,6 +586,7 @@ async function seedFromInitialData() {
     target_date: p.targetDate || null,
     measurement: p.measurement,
     status: p.status,
+    position: p.id,
     budget: p.budget || null,
     no_go_action: p.noGoAction
   }))
@@ -226,12 +600,13 @@ async function seedFromInitialData() {
   const criteriaInput = []
   initialData.phases.forEach(p => {
     const phaseUuid = seedPhaseMap.get(p.id)
-    ;(p.goNoGoCriteria || []).forEach(c => {
+    ;(p.goNoGoCriteria || []).forEach((c, index) => {
       criteriaInput.push({
         phase_id: phaseUuid,
         criterion_key: c.id,
         description: c.description,
-        completed: c.completed || false
+        completed: c.completed || false,
+        position: index + 1
       })
     })
   })
@@ -250,11 +625,12 @@ async function seedFromInitialData() {
     status: t.status || 'todo',
     priority: t.priority || 'should',
     estimated_hours: t.estimatedHours || null,
-    planned_week: t.plannedWeek || null,
+    planned_week: migrateLegacyWeek(t.plannedWeek),
     value: '',
     acceptance_criteria: '',
     labels: [],
-    comments: [],
+    status_history: [],
+    attachments: [],
     depends_on: [],
     blocked_by: []
   }))
@@ -289,14 +665,54 @@ async function seedFromInitialData() {
 // Background persist helpers
 // ============================================================
 
-function persistTicket(localId, updates) {
+// `baseVersion` is the `updated_at` the change was based on; defaults to
+// the version currently in the store.
+function persistTicket(localId, updates, baseVersion) {
   const uuid = ticketLocalToUuid.get(localId)
   if (!uuid) return
   const dbUpdates = mapTicketUpdatesToDb(updates)
-  api.updateTicket(uuid, dbUpdates).catch(e => {
-    console.error('Failed to persist ticket:', e)
-    store.error = 'Opslaan mislukt'
-  })
+  const version = baseVersion !== undefined
+    ? baseVersion
+    : store.tickets.find(t => t.id === localId)?._updatedAt || null
+  enqueue('updateTicket', [uuid, dbUpdates, version], `${ticketLabel(localId)} bijwerken`)
+}
+
+function persistPhase(phaseId, dbUpdates) {
+  const uuid = phaseNumberToUuid.get(phaseId)
+  if (!uuid) return
+  const version = store.phases.find(p => p.id === phaseId)?._updatedAt || null
+  enqueue('updatePhase', [uuid, dbUpdates, version], `Fase ${phaseId} bijwerken`)
+}
+
+function persistCriterionColumns(criterion, columns, label = `Criterium ${criterion.id} bijwerken`) {
+  const uuid = criterion._uuid || criterionKeyToUuid.get(criterion.id)
+  if (!uuid) return
+  enqueue('updateCriterion', [uuid, columns, criterion._updatedAt || null], label)
+}
+
+function persistCriterion(criterion) {
+  persistCriterionColumns(criterion, completedColumns(criterion.completed))
+}
+
+function completedColumns(completed) {
+  return { completed, completed_at: completed ? new Date().toISOString() : null }
+}
+
+function persistProject(dbUpdates, label) {
+  if (!projectUuid) return
+  enqueue('updateProject', [projectUuid, dbUpdates], label)
+}
+
+function capacityToDb(capacity) {
+  return {
+    weekly_capacity: capacity.weeklyHours,
+    capacity_exceptions: capacity.exceptions
+  }
+}
+
+function ticketLabel(localId) {
+  const ticket = store.tickets.find(t => t.id === localId)
+  return ticket ? `Ticket ${ticket.ticketNumber}` : 'Ticket'
 }
 
 function mapTicketUpdatesToDb(updates) {
@@ -311,330 +727,1271 @@ function mapTicketUpdatesToDb(updates) {
   if ('value' in updates) db.value = updates.value
   if ('acceptanceCriteria' in updates) db.acceptance_criteria = updates.acceptanceCriteria
   if ('labels' in updates) db.labels = updates.labels
-  if ('comments' in updates) db.comments = updates.comments
+  if ('recurrence' in updates) db.recurrence = updates.recurrence || null
+  if ('statusHistory' in updates) db.status_history = updates.statusHistory
+  if ('attachments' in updates) db.attachments = updates.attachments
   if ('phaseId' in updates) db.phase_id = phaseNumberToUuid.get(updates.phaseId) || null
   if ('dependsOn' in updates) db.depends_on = mapLocalIdsToUuids(updates.dependsOn)
   if ('blockedBy' in updates) db.blocked_by = mapLocalIdsToUuids(updates.blockedBy)
   return db
 }
 
-// ============================================================
-// Public API — same interface as before
-// ============================================================
-
-// --- Phase getters ---
+function mapPhaseUpdatesToDb(updates) {
+  const db = {}
+  if ('name' in updates) db.name = updates.name
+  if ('description' in updates) db.description = updates.description
+  if ('goal' in updates) db.goal = updates.goal
+  if ('targetDate' in updates) db.target_date = updates.targetDate
+  if ('measurement' in updates) db.measurement = updates.measurement
+  if ('status' in updates) db.status = updates.status
+  if ('position' in updates) db.position = updates.position
+  if ('budget' in updates) db.budget = updates.budget
+  if ('noGoAction' in updates) db.no_go_action = updates.noGoAction
+  if ('goNoGoDecision' in updates) db.go_no_go_decision = updates.goNoGoDecision
+  if ('goNoGoDecisions' in updates) db.go_no_go_decisions = updates.goNoGoDecisions
+  return db
+}
 
-export function getPhaseById(id) {
-  return store.phases.find(p => p.id === id)
+// Full insert row for a store ticket (new, or restored by undo)
+function ticketToDbRow(ticket) {
+  return {
+    id: ticket._uuid,
+    project_id: projectUuid,
+    phase_id: phaseNumberToUuid.get(ticket.phaseId) || null,
+    ticket_number: ticket.ticketNumber,
+    title: ticket.title,
+    description: ticket.description,
+    epic: ticket.epic,
+    status: ticket.status,
+    priority: ticket.priority,
+    value: ticket.value,
+    acceptance_criteria: ticket.acceptanceCriteria,
+    estimated_hours: ticket.estimatedHours,
+    planned_week: ticket.plannedWeek,
+    labels: ticket.labels,
+    recurrence: ticket.recurrence || null,
+    status_history: ticket.statusHistory,
+    attachments: ticket.attachments,
+    depends_on: mapLocalIdsToUuids(ticket.dependsOn),
+    blocked_by: mapLocalIdsToUuids(ticket.blockedBy)
+  }
 }
 
-export function getPhaseProgress(phaseId) {
-  const tickets = getTicketsByPhase(phaseId)
-  if (tickets.length === 0) return 0
-  const done = tickets.filter(t => t.status === 'done').length
-  return Math.round((done / tickets.length) * 100)
+function timeEntryToDbRow(ticketUuid, entry) {
+  return {
+    id: entry.id,
+    project_id: projectUuid,
+    ticket_id: ticketUuid,
+    entry_date: entry.date,
+    hours: entry.hours,
+    note: entry.note || null,
+    started_at: entry.startedAt,
+    ended_at: entry.endedAt
+  }
 }
 
-export function getCriteriaProgress(phase) {
-  if (!phase.goNoGoCriteria || phase.goNoGoCriteria.length === 0) return 0
-  const completed = phase.goNoGoCriteria.filter(c => c.completed).length
-  return Math.round((completed / phase.goNoGoCriteria.length) * 100)
+function commentToDbRow(ticketUuid, comment) {
+  return {
+    id: comment.id,
+    project_id: projectUuid,
+    ticket_id: ticketUuid,
+    parent_id: comment.parentId || null,
+    author_email: comment.author || null,
+    text: comment.text,
+    created_at: comment.createdAt,
+    edited_at: comment.editedAt || null
+  }
 }
 
-// --- Phase mutations ---
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
 
-export function updatePhase(id, updates) {
-  const phase = store.phases.find(p => p.id === id)
-  if (phase) {
-    Object.assign(phase, updates)
-    // Persist
-    const uuid = phaseNumberToUuid.get(id)
-    if (uuid) {
-      const db = {}
-      if ('name' in updates) db.name = updates.name
-      if ('description' in updates) db.description = updates.description
-      if ('goal' in updates) db.goal = updates.goal
-      if ('targetDate' in updates) db.target_date = updates.targetDate
-      if ('measurement' in updates) db.measurement = updates.measurement
-      if ('status' in updates) db.status = updates.status
-      if ('budget' in updates) db.budget = updates.budget
-      if ('noGoAction' in updates) db.no_go_action = updates.noGoAction
-      api.updatePhase(uuid, db).catch(e => {
-        console.error('Failed to persist phase:', e)
-        store.error = 'Opslaan mislukt'
-      })
-    }
+// Legacy comment ids are Date.now() values; they fill the last part of
+// the ticket UUID. Anything else falls back to its position.
+function legacyCommentUuid(ticketUuid, legacyId, index) {
+  const n = Number.isSafeInteger(legacyId) && legacyId >= 0 && legacyId < 2 ** 48 ? legacyId : index
+  return `${ticketUuid.slice(0, 24)}${n.toString(16).padStart(12, '0')}`
+}
+
+// Full insert rows for a new or restored phase and criterion
+function phaseToDbRow(phase) {
+  return {
+    id: phase._uuid,
+    project_id: projectUuid,
+    phase_number: phase.id,
+    ...mapPhaseUpdatesToDb(pick(phase, PHASE_FIELDS))
   }
-  return phase
 }
 
-export function toggleCriterion(phaseId, criterionId) {
-  const phase = store.phases.find(p => p.id === phaseId)
-  if (phase) {
-    const criterion = phase.goNoGoCriteria.find(c => c.id === criterionId)
-    if (criterion) {
-      criterion.completed = !criterion.completed
-      // Persist
-      const uuid = criterion._uuid || criterionKeyToUuid.get(criterionId)
-      if (uuid) {
-        api.updateCriterion(uuid, {
-          completed: criterion.completed,
-          completed_at: criterion.completed ? new Date().toISOString() : null
-        }).catch(e => {
-          console.error('Failed to persist criterion:', e)
-          store.error = 'Opslaan mislukt'
-        })
-      }
-    }
+function criterionToDbRow(phaseId, criterion) {
+  return {
+    id: criterion._uuid,
+    phase_id: phaseNumberToUuid.get(phaseId),
+    criterion_key: criterion.id,
+    description: criterion.description,
+    position: criterion.position,
+    ...completedColumns(criterion.completed),
+    ...criterionMetricToDb(criterion.metric)
   }
 }
 
-export function recordGoNoGoDecision(phaseId, decision, notes) {
-  const phase = store.phases.find(p => p.id === phaseId)
-  if (phase) {
-    phase.goNoGoDecision = {
-      decision,
-      date: new Date().toISOString(),
-      notes
-    }
-    if (decision === 'go') {
-      phase.status = 'afgerond'
-      const nextPhase = store.phases.find(p => p.id === phaseId + 1)
-      if (nextPhase && nextPhase.status === 'niet gestart') {
-        nextPhase.status = 'actief'
-        // Persist next phase
-        const nextUuid = phaseNumberToUuid.get(phaseId + 1)
-        if (nextUuid) {
-          api.updatePhase(nextUuid, { status: 'actief' }).catch(console.error)
-        }
-      }
-    }
-    // Persist current phase
-    const uuid = phaseNumberToUuid.get(phaseId)
-    if (uuid) {
-      api.updatePhase(uuid, {
-        status: phase.status,
-        go_no_go_decision: phase.goNoGoDecision
-      }).catch(console.error)
-    }
+function purchaseToDbRow(phaseId, purchase) {
+  return {
+    id: purchase._uuid,
+    phase_id: phaseNumberToUuid.get(phaseId),
+    ...mapPurchaseUpdatesToDb(purchase),
+    receipt: purchase.receipt || null
   }
 }
 
-// --- Budget ---
+function mapPurchaseUpdatesToDb(updates) {
+  const db = {}
+  if ('description' in updates) db.description = updates.description
+  if ('amount' in updates) db.amount = updates.amount
+  if ('date' in updates) db.purchase_date = updates.date
+  if ('category' in updates) db.category = updates.category || null
+  if ('recurrence' in updates) db.recurrence = updates.recurrence || null
+  if ('endDate' in updates) db.end_date = updates.endDate || null
+  if ('currency' in updates) db.currency = updates.currency || null
+  if ('vatRate' in updates) db.vat_rate = updates.vatRate ?? null
+  if ('vatIncluded' in updates) db.vat_included = updates.vatIncluded !== false
+  return db
+}
 
-export function addPurchase(phaseId, purchase) {
-  const phase = store.phases.find(p => p.id === phaseId)
-  if (phase) {
-    if (!phase.purchases) phase.purchases = []
-    const localId = Date.now()
-    phase.purchases.push({
-      id: localId,
-      description: purchase.description,
-      amount: purchase.amount,
-      date: purchase.date || new Date().toISOString().split('T')[0]
+// ============================================================
+// Write results and conflicts
+// ============================================================
+
+onQueueEvent((type, item, result) => {
+  if (type === 'success' && result?.updated_at) {
+    const row = findRowForWrite(item)
+    if (row) row._updatedAt = result.updated_at
+  }
+  if (type === 'success' && item.op === 'bulkUpdateTickets') {
+    result.forEach(row => {
+      const ticket = store.tickets.find(t => t._uuid === row.id)
+      if (ticket) ticket._updatedAt = row.updated_at
     })
-    // Persist
-    const phaseUuid = phaseNumberToUuid.get(phaseId)
-    if (phaseUuid) {
-      api.createPurchase({
-        phase_id: phaseUuid,
-        description: purchase.description,
-        amount: purchase.amount,
-        purchase_date: purchase.date || new Date().toISOString().split('T')[0]
-      }).then(dbPurchase => {
-        purchaseLocalToUuid.set(localId, dbPurchase.id)
-      }).catch(e => {
-        console.error('Failed to persist purchase:', e)
-        store.error = 'Opslaan mislukt'
-      })
-    }
   }
-}
+  // Discarding a conflicting change means accepting the server version
+  if (type === 'discard' && item.status === 'conflict' && item.conflict) {
+    applyServerRow(item.op, item.conflict)
+  }
+})
 
-export function deletePurchase(phaseId, purchaseId) {
-  const phase = store.phases.find(p => p.id === phaseId)
-  if (phase && phase.purchases) {
-    const index = phase.purchases.findIndex(p => p.id === purchaseId)
-    if (index !== -1) {
-      phase.purchases.splice(index, 1)
-      const uuid = purchaseLocalToUuid.get(purchaseId)
-      if (uuid) {
-        api.deletePurchase(uuid).catch(console.error)
-        purchaseLocalToUuid.delete(purchaseId)
-      }
+function findRowForWrite(item) {
+  const uuid = item.args[0]?.id || item.args[0]
+  if (item.op === 'updateTicket' || item.op === 'createTicket') {
+    return store.tickets.find(t => t._uuid === uuid)
+  }
+  if (item.op === 'updatePhase') {
+    return store.phases.find(p => p._uuid === uuid)
+  }
+  if (item.op === 'updateCriterion') {
+    for (const phase of store.phases) {
+      const criterion = phase.goNoGoCriteria.find(c => c._uuid === uuid)
+      if (criterion) return criterion
     }
   }
+  return null
 }
 
-export function getPhaseSpent(phaseId) {
-  const phase = store.phases.find(p => p.id === phaseId)
-  if (!phase || !phase.purchases) return 0
-  return phase.purchases.reduce((sum, p) => sum + (p.amount || 0), 0)
+function applyServerRow(op, row) {
+  const target = findRowForWrite({ op, args: [row.id] })
+  if (!target) return
+  if (op === 'updateTicket') {
+    Object.assign(target, mapTicketRow(row, target))
+  } else if (op === 'updatePhase') {
+    Object.assign(target, mapPhaseRow(row, target))
+  } else if (op === 'updateCriterion') {
+    target.completed = row.completed
+    target.metric = mapCriterionMetric(row)
+    target._updatedAt = row.updated_at || null
+  }
 }
 
-export function getTotalSpent() {
-  return store.phases.reduce((sum, p) => {
-    const phaseSpent = (p.purchases || []).reduce((pSum, purchase) => pSum + (purchase.amount || 0), 0)
-    return sum + phaseSpent
-  }, 0)
+// Returns { itemId, mine, theirs } when a queued edit of the ticket was
+// rejected because the server row changed, else null. Both sides are
+// mapped like store tickets so they can be compared field by field.
+export function getTicketConflict(localId) {
+  const uuid = ticketLocalToUuid.get(localId)
+  const item = uuid && getConflictItem('updateTicket', uuid)
+  if (!item) return null
+  return {
+    itemId: item.id,
+    mine: mapTicketRow({ ...item.conflict, ...item.args[1] }),
+    theirs: mapTicketRow(item.conflict)
+  }
 }
 
-export function getTotalBudget() {
-  return store.phases.reduce((sum, p) => sum + (p.budget || 0), 0)
+// Replaces a conflicting edit by the user's field-by-field resolution.
+// `baseVersion` is the `updated_at` of the server version they compared.
+export function resolveTicketConflict(localId, updates, baseVersion) {
+  const conflict = getTicketConflict(localId)
+  if (conflict) discardItem(conflict.itemId)
+  return updateTicket(localId, updates, { baseVersion })
 }
 
-// --- Ticket getters ---
+// ============================================================
+// Undo / redo
+// ============================================================
+//
+// Every exported mutation runs inside recordHistory(), which diffs the
+// store before and after. Undo and redo apply one side of that diff
+// through the normal persist helpers, so the server follows along.
+
+const MAX_HISTORY = 50
+
+const TICKET_FIELDS = [
+  'title', 'description', 'phaseId', 'epic', 'status', 'priority', 'value',
+  'acceptanceCriteria', 'estimatedHours', 'plannedWeek', 'dependsOn',
+  'blockedBy', 'labels', 'recurrence', 'comments', 'statusHistory', 'timeEntries'
+]
+const PHASE_FIELDS = [
+  'name', 'description', 'goal', 'targetDate', 'measurement', 'status',
+  'position', 'budget', 'noGoAction', 'goNoGoDecision', 'goNoGoDecisions'
+]
+const PHASE_DIFF_FIELDS = [...PHASE_FIELDS, 'goNoGoCriteria', 'purchases']
+const PURCHASE_FIELDS = [
+  'description', 'amount', 'date', 'category', 'recurrence', 'endDate',
+  'currency', 'vatRate', 'vatIncluded'
+]
+const PROJECT_FIELDS = ['labels', 'capacity', 'templates', 'exchangeRates', 'nextTicketNumber']
+
+export const history = reactive({
+  undoStack: [],
+  redoStack: [],
+  lastAction: null // { label, type: 'do' | 'undo' | 'redo', at }
+})
 
-export function getTicketsByPhase(phaseId) {
-  return store.tickets.filter(t => t.phaseId === phaseId)
+let recordingDepth = 0
+
+function snapshotState() {
+  return JSON.parse(JSON.stringify({
+    tickets: store.tickets,
+    phases: store.phases,
+    labels: store.labels,
+    capacity: store.capacity,
+    templates: store.templates,
+    exchangeRates: store.exchangeRates,
+    nextTicketNumber: store.nextTicketNumber
+  }))
 }
 
-export function getTicketsByStatus(status) {
-  return store.tickets.filter(t => t.status === status)
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
 }
 
-export function getTicketsByEpic(epic) {
-  return store.tickets.filter(t => t.epic === epic)
+function pick(obj, fields) {
+  const result = {}
+  fields.forEach(f => { result[f] = obj[f] })
+  return result
 }
 
-export function getEpicsByPhase(phaseId) {
-  const tickets = getTicketsByPhase(phaseId)
-  return [...new Set(tickets.map(t => t.epic).filter(Boolean))]
-}
+// Mutations calling other mutations are recorded as one entry. Roles
+// without 'edit' change nothing; views hide the controls as well.
+function recordHistory(label, mutate) {
+  if (recordingDepth > 0) return mutate()
+  if (!can('edit')) return undefined
 
-export function getTicketById(id) {
-  return store.tickets.find(t => t.id === id)
+  const before = snapshotState()
+  recordingDepth++
+  let result
+  try {
+    result = mutate()
+  } finally {
+    recordingDepth--
+  }
+
+  const changes = diffStates(before, snapshotState())
+  if (changes) {
+    logTicketActivity(changes.tickets)
+    history.undoStack.push({ label, changes })
+    if (history.undoStack.length > MAX_HISTORY) history.undoStack.shift()
+    history.redoStack = []
+    history.lastAction = { label, type: 'do', at: Date.now() }
+  }
+  return result
 }
 
-export function getTicketByNumber(ticketNumber) {
-  return store.tickets.find(t => t.ticketNumber === ticketNumber)
+function diffById(beforeList, afterList, fields) {
+  const beforeMap = new Map(beforeList.map(x => [x.id, x]))
+  const afterMap = new Map(afterList.map(x => [x.id, x]))
+  const changes = []
+  new Set([...beforeMap.keys(), ...afterMap.keys()]).forEach(id => {
+    const before = beforeMap.get(id) || null
+    const after = afterMap.get(id) || null
+    const changed = before && after ? fields.filter(f => !isSameValue(before[f], after[f])) : fields
+    if (changed.length) changes.push({ id, before, after, fields: changed })
+  })
+  return changes
 }
 
-export function getNextTicketNumber() {
-  const num = store.nextTicketNumber || 1
-  return `GT-${String(num).padStart(3, '0')}`
+function diffStates(before, after) {
+  const tickets = diffById(before.tickets, after.tickets, TICKET_FIELDS)
+  const phases = diffById(before.phases, after.phases, PHASE_DIFF_FIELDS)
+  const projectFields = PROJECT_FIELDS.filter(f => !isSameValue(before[f], after[f]))
+  if (!tickets.length && !phases.length && !projectFields.length) return null
+  return {
+    tickets,
+    phases,
+    project: {
+      fields: projectFields,
+      before: pick(before, projectFields),
+      after: pick(after, projectFields)
+    }
+  }
 }
 
-// --- Ticket mutations ---
+// side: 'before' to undo, 'after' to redo
+function applyHistoryChanges(changes, side) {
+  const other = side === 'before' ? 'after' : 'before'
+
+  // Restore tickets first so dependency ids resolve to UUIDs again,
+  // remove tickets last so links to them are already gone
+  changes.tickets.filter(c => c[side] && !c[other]).forEach(c => restoreTicket(c[side]))
+  // Several changed tickets (a bulk action) go back as one batch
+  const changed = changes.tickets.filter(c => c[side] && c[other])
+  changed.forEach(c => {
+    c.fields.filter(f => f in CHILD_ROWS).forEach(f => restoreChildRows(c.id, f, c[side][f]))
+  })
+  const fieldsFor = c => pick(JSON.parse(JSON.stringify(c[side])), c.fields.filter(f => !(f in CHILD_ROWS)))
+  if (changed.length > 1) {
+    const byId = new Map(changed.map(c => [c.id, c]))
+    applyBulkChanges([...byId.keys()], t => fieldsFor(byId.get(t.id)))
+  } else {
+    changed.forEach(c => {
+      const ticket = store.tickets.find(t => t.id === c.id)
+      if (!ticket) return
+      const fields = fieldsFor(c)
+      Object.assign(ticket, fields)
+      persistTicket(ticket.id, fields)
+    })
+  }
+  changes.tickets.filter(c => !c[side]).forEach(c => removeTicket(c.id))
+
+  changes.phases.forEach(c => restorePhase(c, side))
+
+  if (changes.project.fields.length) {
+    const values = JSON.parse(JSON.stringify(changes.project[side]))
+    Object.assign(store, values)
+    const db = {}
+    if ('labels' in values) db.labels = values.labels
+    if ('capacity' in values) Object.assign(db, capacityToDb(values.capacity))
+    if ('templates' in values) db.ticket_templates = values.templates
+    if ('exchangeRates' in values) db.exchange_rates = values.exchangeRates
+    if ('nextTicketNumber' in values) db.next_ticket_number = values.nextTicketNumber
+    persistProject(db, 'Project bijwerken')
+  }
+}
 
-export function addTicket(ticket) {
-  const ticketNumber = getNextTicketNumber()
-  const localId = Date.now()
-  const newTicket = {
-    id: localId,
-    ticketNumber,
-    title: ticket.title || '',
-    description: ticket.description || '',
-    phaseId: ticket.phaseId,
-    epic: ticket.epic || null,
-    status: ticket.status || 'todo',
-    priority: ticket.priority || 'should',
-    value: ticket.value || '',
-    acceptanceCriteria: ticket.acceptanceCriteria || '',
-    estimatedHours: ticket.estimatedHours || null,
-    plannedWeek: ticket.plannedWeek || null,
-    dependsOn: ticket.dependsOn || [],
-    blockedBy: ticket.blockedBy || [],
-    labels: ticket.labels || [],
-    comments: [],
-    createdAt: new Date().toISOString()
-  }
-  store.tickets.push(newTicket)
-  store.nextTicketNumber = (store.nextTicketNumber || 1) + 1
-
-  // Persist
+function restoreTicket(snapshot) {
+  const ticket = { ...JSON.parse(JSON.stringify(snapshot)), _updatedAt: null }
+  store.tickets.push(ticket)
   if (projectUuid) {
-    api.createTicket({
-      project_id: projectUuid,
-      phase_id: phaseNumberToUuid.get(ticket.phaseId) || null,
-      ticket_number: ticketNumber,
-      title: newTicket.title,
-      description: newTicket.description,
-      epic: newTicket.epic,
-      status: newTicket.status,
-      priority: newTicket.priority,
-      value: newTicket.value,
-      acceptance_criteria: newTicket.acceptanceCriteria,
-      estimated_hours: newTicket.estimatedHours,
-      planned_week: newTicket.plannedWeek,
-      labels: newTicket.labels,
-      comments: [],
-      depends_on: mapLocalIdsToUuids(newTicket.dependsOn),
-      blocked_by: mapLocalIdsToUuids(newTicket.blockedBy)
-    }).then(dbTicket => {
-      registerTicketMapping(localId, dbTicket.id)
-      newTicket._uuid = dbTicket.id
-    }).catch(e => {
-      console.error('Failed to persist new ticket:', e)
-      store.error = 'Opslaan mislukt'
+    registerTicketMapping(ticket.id, ticket._uuid)
+    enqueue('createTicket', [ticketToDbRow(ticket)], `Ticket ${ticket.ticketNumber} herstellen`)
+    Object.entries(CHILD_ROWS).forEach(([field, rows]) => {
+      ;(ticket[field] || []).forEach(item => {
+        enqueue(rows.create, [rows.toDbRow(ticket._uuid, item)], `${rows.label} ${ticket.ticketNumber} herstellen`)
+      })
     })
-
-    // Update next ticket number in project
-    api.updateProject(projectUuid, {
-      next_ticket_number: store.nextTicketNumber
-    }).catch(console.error)
   }
-
-  return newTicket
 }
 
-export function updateTicket(id, updates) {
-  const ticket = store.tickets.find(t => t.id === id)
-  if (ticket) {
-    Object.assign(ticket, updates)
-    persistTicket(id, updates)
-  }
-  return ticket
+// Ticket fields stored as rows in their own table
+const CHILD_ROWS = {
+  timeEntries: { create: 'createTimeEntry', update: 'updateTimeEntry', remove: 'deleteTimeEntry', toDbRow: timeEntryToDbRow, label: 'Uren' },
+  comments: { create: 'createComment', update: 'updateComment', remove: 'deleteComment', toDbRow: commentToDbRow, label: 'Comments' }
 }
 
-export function deleteTicket(id) {
-  const index = store.tickets.findIndex(t => t.id === id)
-  if (index !== -1) {
-    store.tickets.splice(index, 1)
-    const uuid = ticketLocalToUuid.get(id)
-    if (uuid) {
-      api.deleteTicket(uuid).catch(console.error)
-      ticketLocalToUuid.delete(id)
-      ticketUuidToLocal.delete(uuid)
+// Brings a ticket's child rows back to a snapshot. Rows are matched by
+// id, so a stopped timer is reopened and an edited comment reverted by
+// updating them. Snapshot order is kept, which creates a parent comment
+// before its replies; removals go in reverse for the same reason.
+function restoreChildRows(ticketId, field, targetRows) {
+  const ticket = store.tickets.find(t => t.id === ticketId)
+  if (!ticket) return
+  const rows = CHILD_ROWS[field]
+  const target = JSON.parse(JSON.stringify(targetRows || []))
+  const current = new Map((ticket[field] || []).map(r => [r.id, r]))
+  const targetIds = new Set(target.map(r => r.id))
+  const label = `${rows.label} ${ticket.ticketNumber} bijwerken`
+
+  ;[...current.values()].reverse().forEach(row => {
+    if (!targetIds.has(row.id)) enqueue(rows.remove, [row.id], label)
+  })
+  target.forEach(row => {
+    const existing = current.get(row.id)
+    if (!existing) {
+      enqueue(rows.create, [rows.toDbRow(ticket._uuid, row)], label)
+    } else if (!isSameValue(existing, row)) {
+      const { id, project_id, ticket_id, ...columns } = rows.toDbRow(ticket._uuid, row)
+      enqueue(rows.update, [row.id, columns], label)
     }
-  }
+  })
+  ticket[field] = target
 }
 
-// --- Dependencies ---
+function restorePhase(change, side) {
+  const phase = store.phases.find(p => p.id === change.id)
+  const target = change[side] && JSON.parse(JSON.stringify(change[side]))
+  if (!target) {
+    // Tickets added to the phase since keep it alive
+    if (phase && !getTicketsByPhase(phase.id).length) removePhase(phase)
+    return
+  }
+  if (!phase) {
+    recreatePhase(target)
+    return
+  }
 
-export function addDependency(ticketId, dependsOnId) {
-  const ticket = store.tickets.find(t => t.id === ticketId)
-  const dependsOnTicket = store.tickets.find(t => t.id === dependsOnId)
-  if (ticket && dependsOnTicket) {
-    if (!ticket.dependsOn) ticket.dependsOn = []
-    if (!dependsOnTicket.blockedBy) dependsOnTicket.blockedBy = []
+  const scalarFields = change.fields.filter(f => PHASE_FIELDS.includes(f))
+  if (scalarFields.length) {
+    const updates = pick(target, scalarFields)
+    Object.assign(phase, updates)
+    persistPhase(phase.id, mapPhaseUpdatesToDb(updates))
+    if (scalarFields.includes('position')) sortPhases()
+  }
 
-    if (!ticket.dependsOn.includes(dependsOnId)) {
-      ticket.dependsOn.push(dependsOnId)
+  if (change.fields.includes('goNoGoCriteria')) restoreCriteria(phase, target.goNoGoCriteria)
+
+  if (change.fields.includes('purchases')) restorePurchases(phase, target.purchases)
+}
+
+// Receipts are not part of undo, like ticket attachments: a purchase
+// keeps the receipt it has now
+function restorePurchases(phase, targetPurchases) {
+  const current = new Map(phase.purchases.map(p => [p._uuid, p]))
+  const targetUuids = new Set(targetPurchases.map(p => p._uuid))
+  phase.purchases.filter(p => !targetUuids.has(p._uuid)).forEach(p => {
+    enqueue('deletePurchase', [p._uuid], 'Aankoop verwijderen')
+    purchaseLocalToUuid.delete(p.id)
+  })
+  phase.purchases = targetPurchases.map(target => {
+    const purchase = current.get(target._uuid)
+    if (!purchase) {
+      purchaseLocalToUuid.set(target.id, target._uuid)
+      enqueue('createPurchase', [purchaseToDbRow(phase.id, target)], `Aankoop "${target.description}" herstellen`)
+      return target
+    }
+    const fields = PURCHASE_FIELDS.filter(f => !isSameValue(purchase[f], target[f]))
+    if (fields.length) {
+      const updates = pick(target, fields)
+      Object.assign(purchase, updates)
+      enqueue('updatePurchase', [purchase._uuid, mapPurchaseUpdatesToDb(updates)], `Aankoop "${purchase.description}" herstellen`)
     }
-    if (!dependsOnTicket.blockedBy.includes(ticketId)) {
-      dependsOnTicket.blockedBy.push(ticketId)
+    return purchase
+  })
+}
+
+// Criteria are matched by key: missing ones are created again from the
+// snapshot, extra ones removed and the rest brought back field by field
+function restoreCriteria(phase, targetCriteria) {
+  const current = new Map(phase.goNoGoCriteria.map(c => [c.id, c]))
+  const targetIds = new Set(targetCriteria.map(c => c.id))
+  const label = `Criteria fase ${phase.id} bijwerken`
+
+  phase.goNoGoCriteria.filter(c => !targetIds.has(c.id)).forEach(c => {
+    if (projectUuid) enqueue('deleteCriterion', [c._uuid], label)
+  })
+  phase.goNoGoCriteria = targetCriteria.map(target => {
+    const criterion = current.get(target.id)
+    if (!criterion) {
+      const restored = { ...target, _updatedAt: null }
+      criterionKeyToUuid.set(restored.id, restored._uuid)
+      if (projectUuid) enqueue('createCriterion', [criterionToDbRow(phase.id, restored)], label)
+      return restored
     }
+    const columns = {}
+    if (criterion.description !== target.description) columns.description = target.description
+    if (criterion.position !== target.position) columns.position = target.position
+    if (!isSameValue(criterion.metric, target.metric)) Object.assign(columns, criterionMetricToDb(target.metric))
+    if (criterion.completed !== target.completed) Object.assign(columns, completedColumns(target.completed))
+    Object.assign(criterion, pick(target, ['description', 'position', 'metric', 'completed']))
+    if (Object.keys(columns).length) persistCriterionColumns(criterion, columns, label)
+    return criterion
+  })
+}
 
-    // Persist both
-    persistTicket(ticketId, { dependsOn: ticket.dependsOn })
-    persistTicket(dependsOnId, { blockedBy: dependsOnTicket.blockedBy })
+// Children go first: the database doesn't cascade phase deletes
+function removePhase(phase) {
+  store.phases = store.phases.filter(p => p.id !== phase.id)
+  phase.purchases.forEach(p => purchaseLocalToUuid.delete(p.id))
+  if (!phaseNumberToUuid.has(phase.id)) return
+  const label = `Fase ${phase.id} verwijderen`
+  phase.goNoGoCriteria.forEach(c => enqueue('deleteCriterion', [c._uuid], label))
+  phase.purchases.forEach(p => enqueue('deletePurchase', [p._uuid], label))
+  enqueue('deletePhase', [phase._uuid], label)
+  phaseNumberToUuid.delete(phase.id)
+}
+
+function recreatePhase(snapshot) {
+  const phase = {
+    ...snapshot,
+    _updatedAt: null,
+    goNoGoCriteria: snapshot.goNoGoCriteria.map(c => ({ ...c, _updatedAt: null }))
   }
+  store.phases.push(phase)
+  sortPhases()
+  if (!projectUuid) return
+  const label = `Fase ${phase.id} herstellen`
+  phaseNumberToUuid.set(phase.id, phase._uuid)
+  enqueue('createPhase', [phaseToDbRow(phase)], label)
+  phase.goNoGoCriteria.forEach(c => {
+    criterionKeyToUuid.set(c.id, c._uuid)
+    enqueue('createCriterion', [criterionToDbRow(phase.id, c)], label)
+  })
+  phase.purchases.forEach(p => {
+    purchaseLocalToUuid.set(p.id, p._uuid)
+    enqueue('createPurchase', [purchaseToDbRow(phase.id, p)], label)
+  })
 }
 
-export function removeDependency(ticketId, dependsOnId) {
-  const ticket = store.tickets.find(t => t.id === ticketId)
-  const dependsOnTicket = store.tickets.find(t => t.id === dependsOnId)
-  if (ticket && ticket.dependsOn) {
-    ticket.dependsOn = ticket.dependsOn.filter(id => id !== dependsOnId)
-    persistTicket(ticketId, { dependsOn: ticket.dependsOn })
+export function undo() {
+  if (!can('edit')) return
+  const entry = history.undoStack.pop()
+  if (!entry) return
+  applyHistoryChanges(entry.changes, 'before')
+  logTicketActivity(entry.changes.tickets.map(c => ({ ...c, before: c.after, after: c.before })))
+  history.redoStack.push(entry)
+  history.lastAction = { label: entry.label, type: 'undo', at: Date.now() }
+}
+
+export function redo() {
+  if (!can('edit')) return
+  const entry = history.redoStack.pop()
+  if (!entry) return
+  applyHistoryChanges(entry.changes, 'after')
+  logTicketActivity(entry.changes.tickets)
+  history.undoStack.push(entry)
+  history.lastAction = { label: entry.label, type: 'redo', at: Date.now() }
+}
+
+export function clearHistory() {
+  history.undoStack = []
+  history.redoStack = []
+  history.lastAction = null
+}
+
+// ============================================================
+// Activity log
+// ============================================================
+//
+// Ticket changes are taken from the same diff as undo/redo, so every
+// mutation (and every undo) is logged without each one doing it itself.
+
+const MAX_ACTIVITY = 50
+
+// Local ids only mean something in this session; log ticket numbers
+function stableActivityValue(field, value) {
+  if (field === 'dependsOn') {
+    return (value || []).map(id => getTicketById(id)?.ticketNumber).filter(Boolean)
+  }
+  return value ?? null
+}
+
+function logTicketActivity(ticketChanges) {
+  if (!projectUuid || !ticketChanges.length) return
+  const at = new Date().toISOString()
+  const entries = buildActivityEntries(ticketChanges, stableActivityValue)
+    .map(e => ({ ...e, id: crypto.randomUUID(), user: currentUserEmail, at }))
+  if (!entries.length) return
+
+  store.activity = [...entries.slice().reverse(), ...store.activity].slice(0, MAX_ACTIVITY)
+  enqueue('createActivity', [entries.map(e => ({
+    id: e.id,
+    project_id: projectUuid,
+    ticket_id: e.ticketUuid,
+    ticket_number: e.ticketNumber,
+    action: e.action,
+    field: e.field,
+    old_value: e.oldValue,
+    new_value: e.newValue,
+    user_email: e.user,
+    created_at: e.at
+  }))], 'Activiteit vastleggen')
+}
+
+// Full history of one ticket, including entries that are still queued
+export async function fetchTicketActivity(ticketId) {
+  const uuid = ticketLocalToUuid.get(ticketId)
+  if (!uuid) return []
+  const rows = (await api.fetchTicketActivity(uuid)).map(mapActivityRow)
+  const known = new Set(rows.map(r => r.id))
+  const local = store.activity.filter(a => a.ticketUuid === uuid && !known.has(a.id)).reverse()
+  return [...rows, ...local]
+}
+
+// ============================================================
+// Public API — same interface as before
+// ============================================================
+
+// --- Phase getters ---
+
+export function getPhaseById(id) {
+  return store.phases.find(p => p.id === id)
+}
+
+// The phase after this one in the configured order
+export function getNextPhase(id) {
+  const index = store.phases.findIndex(p => p.id === id)
+  return index === -1 ? null : store.phases[index + 1] || null
+}
+
+// Done tickets count fully; open tickets count for the ticked part of
+// the checklist in their acceptance criteria
+export function getTicketProgress(ticket) {
+  if (ticket.status === 'done') return 1
+  const { total, done } = getChecklistProgress(ticket.acceptanceCriteria)
+  return total > 0 ? done / total : 0
+}
+
+export function getPhaseProgress(phaseId) {
+  const tickets = getTicketsByPhase(phaseId)
+  if (tickets.length === 0) return 0
+  const progress = tickets.reduce((sum, t) => sum + getTicketProgress(t), 0)
+  return Math.round((progress / tickets.length) * 100)
+}
+
+export function getCriteriaProgress(phase) {
+  if (!phase.goNoGoCriteria || phase.goNoGoCriteria.length === 0) return 0
+  const completed = phase.goNoGoCriteria.filter(c => c.completed).length
+  return Math.round((completed / phase.goNoGoCriteria.length) * 100)
+}
+
+// --- Phase mutations ---
+
+export function updatePhase(id, updates) {
+  return recordHistory(`Fase ${id} bijgewerkt`, () => {
+    const phase = store.phases.find(p => p.id === id)
+    if (phase) {
+      Object.assign(phase, updates)
+      persistPhase(id, mapPhaseUpdatesToDb(updates))
+    }
+    return phase
+  })
+}
+
+export function toggleCriterion(phaseId, criterionId) {
+  return recordHistory(`Criterium ${criterionId} gewijzigd`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    if (phase) {
+      const criterion = phase.goNoGoCriteria.find(c => c.id === criterionId)
+      // Measured criteria follow their metric
+      if (criterion && !criterion.metric) {
+        criterion.completed = !criterion.completed
+        persistCriterion(criterion)
+      }
+    }
+  })
+}
+
+// metric: { source, comparison, target }, or null to tick by hand again
+export function setCriterionMetric(phaseId, criterionId, metric) {
+  return recordHistory(`Meting criterium ${criterionId} gewijzigd`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    const criterion = phase?.goNoGoCriteria.find(c => c.id === criterionId)
+    if (!criterion) return
+    criterion.metric = metric ? { ...metric } : null
+    persistCriterionColumns(criterion, criterionMetricToDb(criterion.metric), `Meting criterium ${criterion.id} bijwerken`)
+  })
+}
+
+// Fetch the metrics the criteria of the given phases use and tick them
+// accordingly. Like remote changes this isn't undoable. Finished phases
+// keep the state their decision was based on.
+export async function refreshMetricCriteria(phases = store.phases, options = {}) {
+  const criteria = phases
+    .filter(p => p.status !== 'afgerond')
+    .flatMap(p => p.goNoGoCriteria || [])
+    .filter(c => c.metric)
+  if (criteria.length === 0) return
+  const values = await loadMetricValues(criteria.map(c => c.metric.source), options)
+  criteria.forEach(criterion => {
+    const { met } = evaluateMetric(criterion.metric, values)
+    if (met === null || met === criterion.completed) return
+    criterion.completed = met
+    // Read-only roles see the live result without storing it
+    if (can('edit')) persistCriterion(criterion)
+  })
+}
+
+// --- Phase and criteria management ---
+
+// New phases get the next free number and go last
+export function addPhase(fields) {
+  const id = store.phases.reduce((max, p) => Math.max(max, p.id), 0) + 1
+  return recordHistory(`Fase ${id} aangemaakt`, () => {
+    const phase = {
+      id,
+      _uuid: crypto.randomUUID(),
+      _updatedAt: null,
+      name: fields.name,
+      description: fields.description || '',
+      goal: fields.goal || '',
+      targetDate: fields.targetDate || null,
+      measurement: fields.measurement || '',
+      status: 'niet gestart',
+      position: store.phases.reduce((max, p) => Math.max(max, p.position), 0) + 1,
+      budget: fields.budget ?? null,
+      spent: 0,
+      noGoAction: fields.noGoAction || '',
+      goNoGoCriteria: [],
+      purchases: [],
+      goNoGoDecision: null,
+      goNoGoDecisions: []
+    }
+    store.phases.push(phase)
+    if (projectUuid) {
+      phaseNumberToUuid.set(id, phase._uuid)
+      enqueue('createPhase', [phaseToDbRow(phase)], `Fase ${id} aanmaken`)
+    }
+    return phase
+  })
+}
+
+// Returns false (and changes nothing) while tickets still belong to the phase
+export function deletePhase(phaseId) {
+  if (getTicketsByPhase(phaseId).length) return false
+  return recordHistory(`Fase ${phaseId} verwijderd`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    if (!phase) return false
+    removePhase(phase)
+    return true
+  })
+}
+
+// orderedIds: all phase ids in their new order
+export function reorderPhases(orderedIds) {
+  return recordHistory('Volgorde fasen gewijzigd', () => {
+    orderedIds.forEach((id, index) => {
+      const phase = store.phases.find(p => p.id === id)
+      if (!phase || phase.position === index + 1) return
+      phase.position = index + 1
+      persistPhase(id, { position: phase.position })
+    })
+    sortPhases()
+  })
+}
+
+// Keys stay unique across phases, as they are also looked up on their own
+export function addCriterion(phaseId, description) {
+  return recordHistory(`Criterium toegevoegd aan fase ${phaseId}`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    if (!phase) return null
+    const keys = new Set(store.phases.flatMap(p => p.goNoGoCriteria.map(c => c.id)))
+    let number = phase.goNoGoCriteria.length + 1
+    while (keys.has(`${phaseId}-${number}`)) number++
+    const criterion = {
+      id: `${phaseId}-${number}`,
+      _uuid: crypto.randomUUID(),
+      _updatedAt: null,
+      description,
+      completed: false,
+      metric: null,
+      position: phase.goNoGoCriteria.reduce((max, c) => Math.max(max, c.position), 0) + 1
+    }
+    phase.goNoGoCriteria.push(criterion)
+    criterionKeyToUuid.set(criterion.id, criterion._uuid)
+    if (projectUuid) enqueue('createCriterion', [criterionToDbRow(phaseId, criterion)], `Criterium ${criterion.id} aanmaken`)
+    return criterion
+  })
+}
+
+export function updateCriterionDescription(phaseId, criterionId, description) {
+  return recordHistory(`Criterium ${criterionId} gewijzigd`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    const criterion = phase?.goNoGoCriteria.find(c => c.id === criterionId)
+    if (!criterion || criterion.description === description) return
+    criterion.description = description
+    persistCriterionColumns(criterion, { description })
+  })
+}
+
+export function deleteCriterion(phaseId, criterionId) {
+  return recordHistory(`Criterium ${criterionId} verwijderd`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    const criterion = phase?.goNoGoCriteria.find(c => c.id === criterionId)
+    if (!criterion) return
+    phase.goNoGoCriteria = phase.goNoGoCriteria.filter(c => c !== criterion)
+    if (projectUuid) enqueue('deleteCriterion', [criterion._uuid], `Criterium ${criterionId} verwijderen`)
+  })
+}
+
+// orderedIds: all criterion keys of the phase in their new order
+export function reorderCriteria(phaseId, orderedIds) {
+  return recordHistory(`Volgorde criteria fase ${phaseId} gewijzigd`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    if (!phase) return
+    const byId = new Map(phase.goNoGoCriteria.map(c => [c.id, c]))
+    phase.goNoGoCriteria = orderedIds.map(id => byId.get(id)).filter(Boolean)
+    phase.goNoGoCriteria.forEach((criterion, index) => {
+      if (criterion.position === index + 1) return
+      criterion.position = index + 1
+      persistCriterionColumns(criterion, { position: criterion.position })
+    })
+  })
+}
+
+// Decisions are appended with a snapshot of the phase at that moment;
+// goNoGoDecision keeps pointing at the latest one
+export function recordGoNoGoDecision(phaseId, decision, notes) {
+  return recordHistory(`Go/no-go besluit fase ${phaseId}`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    if (phase) {
+      phase.goNoGoDecision = {
+        id: crypto.randomUUID(),
+        decision,
+        date: new Date().toISOString(),
+        notes,
+        decidedBy: currentUserEmail,
+        snapshot: buildGateSnapshot(phase, getPhaseSpent(phaseId), getTicketsByPhase(phaseId))
+      }
+      phase.goNoGoDecisions = [...(phase.goNoGoDecisions || []), phase.goNoGoDecision]
+      if (decision === 'go') {
+        phase.status = 'afgerond'
+        const nextPhase = getNextPhase(phaseId)
+        if (nextPhase && nextPhase.status === 'niet gestart') {
+          nextPhase.status = 'actief'
+          // Persist next phase
+          persistPhase(nextPhase.id, { status: 'actief' })
+        }
+      }
+      // Persist current phase
+      persistPhase(phaseId, {
+        status: phase.status,
+        go_no_go_decision: phase.goNoGoDecision,
+        go_no_go_decisions: phase.goNoGoDecisions
+      })
+    }
+  })
+}
+
+// --- Budget ---
+
+export function addPurchase(phaseId, purchase) {
+  return recordHistory(`Aankoop "${purchase.description}" toegevoegd`, () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    if (phase) {
+      if (!phase.purchases) phase.purchases = []
+      const newPurchase = {
+        id: Date.now(),
+        _uuid: crypto.randomUUID(),
+        description: purchase.description,
+        amount: purchase.amount,
+        date: purchase.date || new Date().toISOString().split('T')[0],
+        category: purchase.category || null,
+        recurrence: purchase.recurrence || null,
+        endDate: purchase.endDate || null,
+        currency: purchase.currency || null,
+        vatRate: purchase.vatRate ?? null,
+        vatIncluded: purchase.vatIncluded !== false,
+        receipt: null
+      }
+      phase.purchases.push(newPurchase)
+      // Persist — the UUID is generated client-side so a delete queued
+      // before the insert has landed still targets the right row
+      if (phaseNumberToUuid.has(phaseId)) {
+        purchaseLocalToUuid.set(newPurchase.id, newPurchase._uuid)
+        enqueue('createPurchase', [purchaseToDbRow(phaseId, newPurchase)], `Aankoop "${purchase.description}" toevoegen`)
+      }
+    }
+  })
+}
+
+export function deletePurchase(phaseId, purchaseId) {
+  return recordHistory('Aankoop verwijderd', () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    if (phase && phase.purchases) {
+      const index = phase.purchases.findIndex(p => p.id === purchaseId)
+      if (index !== -1) {
+        phase.purchases.splice(index, 1)
+        const uuid = purchaseLocalToUuid.get(purchaseId)
+        if (uuid) {
+          enqueue('deletePurchase', [uuid], 'Aankoop verwijderen')
+          purchaseLocalToUuid.delete(purchaseId)
+        }
+      }
+    }
+  })
+}
+
+// updates: description, amount, date, category, recurrence, endDate,
+// currency, vatRate, vatIncluded. Ending a subscription sets its endDate.
+export function updatePurchase(phaseId, purchaseId, updates) {
+  return recordHistory('Aankoop bijgewerkt', () => {
+    const phase = store.phases.find(p => p.id === phaseId)
+    const purchase = phase?.purchases?.find(p => p.id === purchaseId)
+    if (!purchase) return
+    Object.assign(purchase, updates)
+    const uuid = purchaseLocalToUuid.get(purchaseId)
+    if (uuid) enqueue('updatePurchase', [uuid, mapPurchaseUpdatesToDb(updates)], `Aankoop "${purchase.description}" bijwerken`)
+  })
+}
+
+// Project currency and rate table, the `money` argument of useBudget.js
+export function getCurrencySettings() {
+  return { currency: store.project.currency || 'EUR', rates: store.exchangeRates || {} }
+}
+
+// In the project currency. Recurring purchases count every charge up to
+// today; basis 'excl' leaves out VAT.
+export function getPhaseSpent(phaseId, basis = 'incl') {
+  const phase = store.phases.find(p => p.id === phaseId)
+  if (!phase || !phase.purchases) return 0
+  const money = getCurrencySettings()
+  return phase.purchases.reduce((sum, p) => sum + purchaseSpent(p, money, basis), 0)
+}
+
+export function getTotalSpent(basis = 'incl') {
+  return store.phases.reduce((sum, p) => sum + getPhaseSpent(p.id, basis), 0)
+}
+
+export function getTotalBudget() {
+  return store.phases.reduce((sum, p) => sum + (p.budget || 0), 0)
+}
+
+// The project budget when set, else the sum of the phase budgets
+export function getProjectBudget() {
+  return store.project.totalBudget || getTotalBudget()
+}
+
+// --- Purchase receipts ---
+//
+// Uploaded straight to Storage like ticket attachments; only the
+// metadata is stored on the purchase. A replaced or removed receipt
+// file is deleted.
+
+export async function setPurchaseReceipt(phaseId, purchaseId, file) {
+  if (!can('edit')) throw new Error('Geen rechten om te wijzigen')
+  const phase = store.phases.find(p => p.id === phaseId)
+  const purchase = phase?.purchases?.find(p => p.id === purchaseId)
+  if (!purchase || !projectUuid) throw new Error('Aankoop is nog niet opgeslagen')
+  if (file.size > MAX_ATTACHMENT_SIZE) throw new Error(`${file.name} is groter dan 10 MB`)
+
+  const path = await api.uploadReceipt(projectUuid, purchase._uuid, file)
+  const previous = purchase.receipt
+  purchase.receipt = {
+    path,
+    name: file.name,
+    type: file.type || '',
+    size: file.size,
+    uploadedAt: new Date().toISOString()
+  }
+  enqueue('updatePurchase', [purchase._uuid, { receipt: purchase.receipt }], `Bon "${purchase.description}" opslaan`)
+  if (previous) await api.deleteAttachment(previous.path)
+  return purchase.receipt
+}
+
+export async function removePurchaseReceipt(phaseId, purchaseId) {
+  if (!can('edit')) throw new Error('Geen rechten om te wijzigen')
+  const phase = store.phases.find(p => p.id === phaseId)
+  const purchase = phase?.purchases?.find(p => p.id === purchaseId)
+  if (!purchase?.receipt) return
+  await api.deleteAttachment(purchase.receipt.path)
+  purchase.receipt = null
+  enqueue('updatePurchase', [purchase._uuid, { receipt: null }], `Bon "${purchase.description}" verwijderen`)
+}
+
+// --- Ticket getters ---
+
+export function getTicketsByPhase(phaseId) {
+  return store.tickets.filter(t => t.phaseId === phaseId)
+}
+
+export function getTicketsByStatus(status) {
+  return store.tickets.filter(t => t.status === status)
+}
+
+export function getTicketsByEpic(epic) {
+  return store.tickets.filter(t => t.epic === epic)
+}
+
+export function getEpicsByPhase(phaseId) {
+  const tickets = getTicketsByPhase(phaseId)
+  return [...new Set(tickets.map(t => t.epic).filter(Boolean))]
+}
+
+export function getTicketById(id) {
+  return store.tickets.find(t => t.id === id)
+}
+
+export function getTicketByNumber(ticketNumber) {
+  return store.tickets.find(t => t.ticketNumber === ticketNumber)
+}
+
+export function getNextTicketNumber() {
+  const num = store.nextTicketNumber || 1
+  return `GT-${String(num).padStart(3, '0')}`
+}
+
+// --- Ticket mutations ---
+
+export function addTicket(ticket) {
+  return recordHistory(`Ticket ${getNextTicketNumber()} aangemaakt`, () => {
+    const ticketNumber = getNextTicketNumber()
+    // Several tickets can be added in the same millisecond (recurrences
+    // in a bulk update)
+    let localId = Date.now()
+    while (store.tickets.some(t => t.id === localId)) localId++
+    const uuid = crypto.randomUUID()
+    const newTicket = {
+      id: localId,
+      _uuid: uuid,
+      _updatedAt: null,
+      ticketNumber,
+      title: ticket.title || '',
+      description: ticket.description || '',
+      phaseId: ticket.phaseId,
+      epic: ticket.epic || null,
+      status: ticket.status || 'todo',
+      priority: ticket.priority || 'should',
+      value: ticket.value || '',
+      acceptanceCriteria: ticket.acceptanceCriteria || '',
+      estimatedHours: ticket.estimatedHours || null,
+      plannedWeek: ticket.plannedWeek || null,
+      dependsOn: ticket.dependsOn || [],
+      blockedBy: ticket.blockedBy || [],
+      labels: ticket.labels || [],
+      recurrence: ticket.recurrence || null,
+      comments: [],
+      statusHistory: [],
+      attachments: [],
+      timeEntries: [],
+      createdAt: new Date().toISOString()
+    }
+    store.tickets.push(newTicket)
+    store.nextTicketNumber = (store.nextTicketNumber || 1) + 1
+
+    // Persist — register the client-generated UUID right away so edits
+    // made before the insert has landed are queued against it
+    if (projectUuid) {
+      registerTicketMapping(localId, uuid)
+      enqueue('createTicket', [ticketToDbRow(newTicket)], `Ticket ${ticketNumber} aanmaken`)
+
+      // Update next ticket number in project
+      persistProject({ next_ticket_number: store.nextTicketNumber }, 'Ticketnummer bijwerken')
+    }
+
+    return newTicket
+  })
+}
+
+// options.baseVersion: the `updated_at` the edit started from (e.g. when
+// the edit modal was opened), so changes made elsewhere in the meantime
+// surface as a conflict instead of being overwritten.
+export function updateTicket(id, updates, options = {}) {
+  return recordHistory(`${ticketLabel(id)} bijgewerkt`, () => {
+    const ticket = store.tickets.find(t => t.id === id)
+    if (ticket) {
+      // Child rows have their own mutations; a caller's copy may be stale
+      const { _uuid, _updatedAt, statusHistory, timeEntries, comments, ...fields } = updates
+      Object.assign(fields, statusTransition(ticket, fields.status))
+      const previousDeps = ticket.dependsOn || []
+      const finishing = fields.status === 'done' && ticket.status !== 'done'
+      Object.assign(ticket, fields)
+      persistTicket(id, fields, options.baseVersion)
+      if ('dependsOn' in fields) syncBlockedBy(id, previousDeps, ticket.dependsOn || [])
+      if (finishing) continueRecurrence(ticket)
+    }
+    return ticket
+  })
+}
+
+// Appends to the ticket's status history when the status changes. The
+// history is only written here, never taken from the caller's copy.
+function statusTransition(ticket, status) {
+  if (status === undefined || status === ticket.status) return {}
+  return {
+    statusHistory: [
+      ...(ticket.statusHistory || []),
+      { from: ticket.status, to: status, at: new Date().toISOString() }
+    ]
   }
-  if (dependsOnTicket && dependsOnTicket.blockedBy) {
-    dependsOnTicket.blockedBy = dependsOnTicket.blockedBy.filter(id => id !== ticketId)
-    persistTicket(dependsOnId, { blockedBy: dependsOnTicket.blockedBy })
+}
+
+// A recurring ticket that was just marked done hands its rule to a new
+// instance; the successor is part of the same undo step
+function continueRecurrence(ticket) {
+  if (!ticket.recurrence) return
+  addTicket(buildRecurringTicket(ticket))
+  ticket.recurrence = null
+  persistTicket(ticket.id, { recurrence: null })
+}
+
+// Keeps the reverse links in step when a ticket's dependsOn is replaced
+function syncBlockedBy(id, previousDeps, nextDeps) {
+  previousDeps.filter(depId => !nextDeps.includes(depId)).forEach(depId => {
+    const dep = store.tickets.find(t => t.id === depId)
+    if (!dep?.blockedBy?.includes(id)) return
+    dep.blockedBy = dep.blockedBy.filter(blockedId => blockedId !== id)
+    persistTicket(depId, { blockedBy: dep.blockedBy })
+  })
+  nextDeps.filter(depId => !previousDeps.includes(depId)).forEach(depId => {
+    const dep = store.tickets.find(t => t.id === depId)
+    if (!dep || dep.blockedBy?.includes(id)) return
+    dep.blockedBy = [...(dep.blockedBy || []), id]
+    persistTicket(depId, { blockedBy: dep.blockedBy })
+  })
+}
+
+export function deleteTicket(id) {
+  return recordHistory(`${ticketLabel(id)} verwijderd`, () => {
+    if (!store.tickets.some(t => t.id === id)) return
+    // Drop links from other tickets so no dangling ids remain
+    store.tickets.forEach(t => {
+      if (t.dependsOn?.includes(id)) {
+        t.dependsOn = t.dependsOn.filter(depId => depId !== id)
+        persistTicket(t.id, { dependsOn: t.dependsOn })
+      }
+      if (t.blockedBy?.includes(id)) {
+        t.blockedBy = t.blockedBy.filter(blockedId => blockedId !== id)
+        persistTicket(t.id, { blockedBy: t.blockedBy })
+      }
+    })
+    removeTicket(id)
+  })
+}
+
+function removeTicket(id) {
+  const index = store.tickets.findIndex(t => t.id === id)
+  if (index === -1) return
+  const [ticket] = store.tickets.splice(index, 1)
+  const uuid = ticketLocalToUuid.get(id)
+  if (uuid) {
+    removeChildRows(ticket, 'Ticket verwijderen')
+    enqueue('deleteTicket', [uuid], 'Ticket verwijderen')
+    ticketLocalToUuid.delete(id)
+    ticketUuidToLocal.delete(uuid)
   }
 }
 
+// Children go first: the database doesn't cascade ticket deletes. Replies
+// are newer than their parent, so reverse order removes them first.
+function removeChildRows(ticket, label) {
+  Object.entries(CHILD_ROWS).forEach(([field, rows]) => {
+    ;[...(ticket[field] || [])].reverse().forEach(row => enqueue(rows.remove, [row.id], label))
+  })
+}
+
+// --- Bulk ticket mutations ---
+
+// `changesFor(ticket)` returns the fields to set on that ticket. The whole
+// selection is one queue item; each row carries the version it was based
+// on, so edits made elsewhere in the meantime end up as conflicts.
+function applyBulkChanges(ids, changesFor) {
+  const rows = []
+  ids.forEach(id => {
+    const ticket = store.tickets.find(t => t.id === id)
+    if (!ticket) return
+    const fields = changesFor(ticket)
+    Object.assign(ticket, fields)
+    const uuid = ticketLocalToUuid.get(id)
+    if (uuid) rows.push({ uuid, expectedUpdatedAt: ticket._updatedAt || null, ...mapTicketUpdatesToDb(fields) })
+  })
+  if (rows.length) {
+    enqueue('bulkUpdateTickets', [rows], `${rows.length} tickets bijwerken`)
+  }
+}
+
+export function bulkUpdateTickets(ids, updates) {
+  return recordHistory(`${ids.length} tickets bijgewerkt`, () => {
+    const { _uuid, _updatedAt, statusHistory, ...fields } = updates
+    const finishing = fields.status === 'done' ? ids.filter(id => getTicketById(id)?.status !== 'done') : []
+    applyBulkChanges(ids, t => ({ ...JSON.parse(JSON.stringify(fields)), ...statusTransition(t, fields.status) }))
+    finishing.forEach(id => continueRecurrence(getTicketById(id)))
+  })
+}
+
+export function bulkAddLabel(ids, labelId) {
+  return recordHistory(`Label toegevoegd aan ${ids.length} tickets`, () => {
+    const targets = ids.filter(id => !getTicketById(id)?.labels?.includes(labelId))
+    applyBulkChanges(targets, t => ({ labels: [...(t.labels || []), labelId] }))
+  })
+}
+
+export function bulkRemoveLabel(ids, labelId) {
+  return recordHistory(`Label verwijderd van ${ids.length} tickets`, () => {
+    const targets = ids.filter(id => getTicketById(id)?.labels?.includes(labelId))
+    applyBulkChanges(targets, t => ({ labels: t.labels.filter(l => l !== labelId) }))
+  })
+}
+
+export function bulkDeleteTickets(ids) {
+  return recordHistory(`${ids.length} tickets verwijderd`, () => {
+    const removed = new Set(ids)
+
+    // Drop links from the remaining tickets first, as in deleteTicket
+    const linked = store.tickets.filter(t => !removed.has(t.id) &&
+      [...(t.dependsOn || []), ...(t.blockedBy || [])].some(id => removed.has(id)))
+    applyBulkChanges(linked.map(t => t.id), t => ({
+      dependsOn: (t.dependsOn || []).filter(id => !removed.has(id)),
+      blockedBy: (t.blockedBy || []).filter(id => !removed.has(id))
+    }))
+
+    const uuids = []
+    const label = `${ids.length} tickets verwijderen`
+    ids.forEach(id => {
+      const uuid = ticketLocalToUuid.get(id)
+      if (!uuid) return
+      removeChildRows(getTicketById(id), label)
+      uuids.push(uuid)
+      ticketLocalToUuid.delete(id)
+      ticketUuidToLocal.delete(uuid)
+    })
+    store.tickets = store.tickets.filter(t => !removed.has(t.id))
+    if (uuids.length) {
+      enqueue('deleteTickets', [uuids], `${uuids.length} tickets verwijderen`)
+    }
+  })
+}
+
+// --- Dependencies ---
+
+export function wouldCreateDependencyCycle(ticketId, dependsOnId) {
+  return wouldCreateCycle(store.tickets, ticketId, dependsOnId)
+}
+
+// Returns false (and changes nothing) when the link would close a cycle
+export function addDependency(ticketId, dependsOnId) {
+  if (wouldCreateDependencyCycle(ticketId, dependsOnId)) return false
+  return recordHistory('Afhankelijkheid toegevoegd', () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    const dependsOnTicket = store.tickets.find(t => t.id === dependsOnId)
+    if (ticket && dependsOnTicket) {
+      if (!ticket.dependsOn) ticket.dependsOn = []
+      if (!dependsOnTicket.blockedBy) dependsOnTicket.blockedBy = []
+
+      if (!ticket.dependsOn.includes(dependsOnId)) {
+        ticket.dependsOn.push(dependsOnId)
+      }
+      if (!dependsOnTicket.blockedBy.includes(ticketId)) {
+        dependsOnTicket.blockedBy.push(ticketId)
+      }
+
+      // Persist both
+      persistTicket(ticketId, { dependsOn: ticket.dependsOn })
+      persistTicket(dependsOnId, { blockedBy: dependsOnTicket.blockedBy })
+    }
+    return true
+  })
+}
+
+export function removeDependency(ticketId, dependsOnId) {
+  return recordHistory('Afhankelijkheid verwijderd', () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    const dependsOnTicket = store.tickets.find(t => t.id === dependsOnId)
+    if (ticket && ticket.dependsOn) {
+      ticket.dependsOn = ticket.dependsOn.filter(id => id !== dependsOnId)
+      persistTicket(ticketId, { dependsOn: ticket.dependsOn })
+    }
+    if (dependsOnTicket && dependsOnTicket.blockedBy) {
+      dependsOnTicket.blockedBy = dependsOnTicket.blockedBy.filter(id => id !== ticketId)
+      persistTicket(dependsOnId, { blockedBy: dependsOnTicket.blockedBy })
+    }
+  })
+}
+
 export function getTicketChain(ticketId, visited = new Set()) {
   if (visited.has(ticketId)) return []
   visited.add(ticketId)
@@ -664,58 +2021,195 @@ export function getDependencyTickets(ticketId) {
 }
 
 // --- Comments ---
+//
+// Comments are rows of their own, so concurrent commenters don't
+// overwrite each other. Replies go one level deep: replying to a reply
+// attaches to its top-level comment.
+
+// Comments without an author predate attribution and stay editable
+export function canEditComment(comment) {
+  return !comment.author || comment.author === currentUserEmail
+}
 
-export function addComment(ticketId, text) {
-  const ticket = store.tickets.find(t => t.id === ticketId)
-  if (ticket) {
-    if (!ticket.comments) ticket.comments = []
-    ticket.comments.push({
-      id: Date.now(),
+export function addComment(ticketId, text, parentId = null) {
+  return recordHistory(parentId ? 'Reactie toegevoegd' : 'Comment toegevoegd', () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    if (!ticket) return
+    const parent = parentId ? ticket.comments?.find(c => c.id === parentId) : null
+    const comment = {
+      id: crypto.randomUUID(),
+      parentId: parent ? parent.parentId || parent.id : null,
+      author: currentUserEmail,
       text,
-      createdAt: new Date().toISOString()
-    })
-    persistTicket(ticketId, { comments: ticket.comments })
-  }
+      createdAt: new Date().toISOString(),
+      editedAt: null
+    }
+    ticket.comments = [...(ticket.comments || []), comment]
+    if (ticket._uuid && projectUuid) {
+      enqueue('createComment', [commentToDbRow(ticket._uuid, comment)], `Comment ${ticket.ticketNumber} plaatsen`)
+    }
+    return comment
+  })
+}
+
+export function editComment(ticketId, commentId, text) {
+  return recordHistory('Comment bewerkt', () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    const comment = ticket?.comments?.find(c => c.id === commentId)
+    if (!comment || !canEditComment(comment) || comment.text === text) return
+    comment.text = text
+    comment.editedAt = new Date().toISOString()
+    enqueue('updateComment', [comment.id, { text, edited_at: comment.editedAt }], `Comment ${ticket.ticketNumber} bewerken`)
+  })
 }
 
+// Removes the replies along with a top-level comment, replies first
 export function deleteComment(ticketId, commentId) {
+  return recordHistory('Comment verwijderd', () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    if (!ticket?.comments?.some(c => c.id === commentId)) return
+    const removed = ticket.comments.filter(c => c.id === commentId || c.parentId === commentId)
+    ticket.comments = ticket.comments.filter(c => !removed.includes(c))
+    removed.reverse().forEach(c => enqueue('deleteComment', [c.id], `Comment ${ticket.ticketNumber} verwijderen`))
+  })
+}
+
+// --- Time tracking ---
+
+export function getRunningTimer(ticketId) {
   const ticket = store.tickets.find(t => t.id === ticketId)
-  if (ticket && ticket.comments) {
-    const index = ticket.comments.findIndex(c => c.id === commentId)
-    if (index !== -1) {
-      ticket.comments.splice(index, 1)
-      persistTicket(ticketId, { comments: ticket.comments })
-    }
+  return ticket?.timeEntries?.find(e => e.startedAt && !e.endedAt) || null
+}
+
+function pushTimeEntry(ticket, entry, label) {
+  ticket.timeEntries = [...(ticket.timeEntries || []), entry].sort(compareTimeEntries)
+  if (ticket._uuid && projectUuid) {
+    enqueue('createTimeEntry', [timeEntryToDbRow(ticket._uuid, entry)], label)
   }
 }
 
+export function startTimer(ticketId) {
+  return recordHistory(`Timer gestart voor ${ticketLabel(ticketId)}`, () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    if (!ticket || getRunningTimer(ticketId)) return
+    const now = new Date()
+    pushTimeEntry(ticket, {
+      id: crypto.randomUUID(),
+      date: now.toISOString().split('T')[0],
+      hours: 0,
+      note: '',
+      startedAt: now.toISOString(),
+      endedAt: null
+    }, `Timer ${ticket.ticketNumber} starten`)
+  })
+}
+
+export function stopTimer(ticketId) {
+  return recordHistory(`Timer gestopt voor ${ticketLabel(ticketId)}`, () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    const entry = getRunningTimer(ticketId)
+    if (!entry) return
+    const endedAt = new Date()
+    entry.endedAt = endedAt.toISOString()
+    entry.hours = Math.round((endedAt - new Date(entry.startedAt)) / 36000) / 100
+    enqueue('updateTimeEntry', [entry.id, { ended_at: entry.endedAt, hours: entry.hours }], `Timer ${ticket.ticketNumber} stoppen`)
+  })
+}
+
+export function addTimeEntry(ticketId, { date, hours, note }) {
+  return recordHistory(`${hours} uur geschreven op ${ticketLabel(ticketId)}`, () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    if (!ticket) return
+    pushTimeEntry(ticket, {
+      id: crypto.randomUUID(),
+      date,
+      hours,
+      note: note || '',
+      startedAt: null,
+      endedAt: null
+    }, `Uren ${ticket.ticketNumber} toevoegen`)
+  })
+}
+
+export function deleteTimeEntry(ticketId, entryId) {
+  return recordHistory(`Uren verwijderd van ${ticketLabel(ticketId)}`, () => {
+    const ticket = store.tickets.find(t => t.id === ticketId)
+    if (!ticket?.timeEntries?.some(e => e.id === entryId)) return
+    ticket.timeEntries = ticket.timeEntries.filter(e => e.id !== entryId)
+    enqueue('deleteTimeEntry', [entryId], `Uren ${ticket.ticketNumber} verwijderen`)
+  })
+}
+
+// --- Attachments ---
+//
+// Files go straight to Supabase Storage (they can't wait in the write
+// queue), only the metadata list is persisted on the ticket. Attachments
+// are not part of undo: a removed file is gone. Deleting a ticket leaves
+// its files in place, so undoing that delete still finds them.
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024
+
+export async function addAttachment(ticketId, file) {
+  if (!can('edit')) throw new Error('Geen rechten om te wijzigen')
+  const ticket = store.tickets.find(t => t.id === ticketId)
+  if (!ticket || !projectUuid) throw new Error('Ticket is nog niet opgeslagen')
+  if (file.size > MAX_ATTACHMENT_SIZE) throw new Error(`${file.name} is groter dan 10 MB`)
+
+  const path = await api.uploadAttachment(projectUuid, ticket._uuid, file)
+  const attachment = {
+    id: crypto.randomUUID(),
+    path,
+    name: file.name,
+    type: file.type || '',
+    size: file.size,
+    uploadedAt: new Date().toISOString()
+  }
+  ticket.attachments = [...(ticket.attachments || []), attachment]
+  persistTicket(ticketId, { attachments: ticket.attachments })
+  return attachment
+}
+
+export async function removeAttachment(ticketId, attachmentId) {
+  if (!can('edit')) throw new Error('Geen rechten om te wijzigen')
+  const ticket = store.tickets.find(t => t.id === ticketId)
+  const attachment = ticket?.attachments?.find(a => a.id === attachmentId)
+  if (!attachment) return
+  await api.deleteAttachment(attachment.path)
+  ticket.attachments = ticket.attachments.filter(a => a.id !== attachmentId)
+  persistTicket(ticketId, { attachments: ticket.attachments })
+}
+
+export function getAttachmentUrl(attachment) {
+  return api.getAttachmentUrl(attachment.path)
+}
+
 // --- Labels ---
 
 export function addLabel(label) {
-  if (!store.labels) store.labels = []
-  store.labels.push({
-    id: label.id || Date.now().toString(),
-    name: label.name,
-    color: label.color || '#6b7280'
+  return recordHistory(`Label "${label.name}" toegevoegd`, () => {
+    if (!store.labels) store.labels = []
+    store.labels.push({
+      id: label.id || Date.now().toString(),
+      name: label.name,
+      color: label.color || '#6b7280'
+    })
+    // Persist labels on project
+    persistProject({ labels: store.labels }, 'Labels bijwerken')
   })
-  // Persist labels on project
-  if (projectUuid) {
-    api.updateProject(projectUuid, { labels: store.labels }).catch(console.error)
-  }
 }
 
 export function deleteLabel(labelId) {
-  if (!store.labels) return
-  store.labels = store.labels.filter(l => l.id !== labelId)
-  store.tickets.forEach(ticket => {
-    if (ticket.labels) {
-      ticket.labels = ticket.labels.filter(id => id !== labelId)
-      persistTicket(ticket.id, { labels: ticket.labels })
-    }
+  return recordHistory(`Label "${getLabelById(labelId)?.name || labelId}" verwijderd`, () => {
+    if (!store.labels) return
+    store.labels = store.labels.filter(l => l.id !== labelId)
+    store.tickets.forEach(ticket => {
+      if (ticket.labels?.includes(labelId)) {
+        ticket.labels = ticket.labels.filter(id => id !== labelId)
+        persistTicket(ticket.id, { labels: ticket.labels })
+      }
+    })
+    persistProject({ labels: store.labels }, 'Labels bijwerken')
   })
-  if (projectUuid) {
-    api.updateProject(projectUuid, { labels: store.labels }).catch(console.error)
-  }
 }
 
 export function getLabelById(labelId) {
@@ -723,6 +2217,93 @@ export function getLabelById(labelId) {
   return store.labels.find(l => l.id === labelId)
 }
 
+// --- Exchange rates ---
+//
+// Maintained by hand on the project: rate = value of 1 unit of the
+// currency in the project currency
+
+export function setExchangeRate(currency, rate) {
+  const code = currency.trim().toUpperCase()
+  if (!code || code === store.project.currency || !(rate > 0)) return false
+  return recordHistory(`Wisselkoers ${code} bijgewerkt`, () => {
+    store.exchangeRates = { ...(store.exchangeRates || {}), [code]: rate }
+    persistProject({ exchange_rates: store.exchangeRates }, 'Wisselkoersen bijwerken')
+    return true
+  })
+}
+
+export function removeExchangeRate(currency) {
+  if (!(store.exchangeRates || {})[currency]) return
+  return recordHistory(`Wisselkoers ${currency} verwijderd`, () => {
+    const { [currency]: _removed, ...rates } = store.exchangeRates
+    store.exchangeRates = rates
+    persistProject({ exchange_rates: store.exchangeRates }, 'Wisselkoersen bijwerken')
+  })
+}
+
+// --- Templates ---
+//
+// Stored on the project like labels; see useTicketTemplates.js for the
+// fields a template carries
+
+export function addTemplate(template) {
+  return recordHistory(`Template "${template.name}" opgeslagen`, () => {
+    const saved = { ...JSON.parse(JSON.stringify(template)), id: crypto.randomUUID() }
+    store.templates = [...(store.templates || []), saved]
+    persistProject({ ticket_templates: store.templates }, 'Templates bijwerken')
+    return saved
+  })
+}
+
+export function deleteTemplate(templateId) {
+  const template = getTemplateById(templateId)
+  if (!template) return
+  return recordHistory(`Template "${template.name}" verwijderd`, () => {
+    store.templates = store.templates.filter(t => t.id !== templateId)
+    persistProject({ ticket_templates: store.templates }, 'Templates bijwerken')
+  })
+}
+
+export function getTemplateById(templateId) {
+  return (store.templates || []).find(t => t.id === templateId) || null
+}
+
+// --- Capacity ---
+
+export function getCapacityForWeek(week) {
+  return getWeekCapacity(week, store.capacity)
+}
+
+export function updateWeeklyCapacity(hours) {
+  return recordHistory('Weekcapaciteit aangepast', () => {
+    store.capacity = { ...store.capacity, weeklyHours: hours }
+    persistProject(capacityToDb(store.capacity), 'Capaciteit bijwerken')
+  })
+}
+
+// hours null removes the exception, so the week follows the weekly capacity again
+export function setCapacityException(week, hours) {
+  return recordHistory(`Capaciteit ${formatIsoWeek(week)} aangepast`, () => {
+    const exceptions = { ...store.capacity.exceptions }
+    if (hours === null || hours === undefined) delete exceptions[week]
+    else exceptions[week] = hours
+    store.capacity = { ...store.capacity, exceptions }
+    persistProject(capacityToDb(store.capacity), 'Capaciteit bijwerken')
+  })
+}
+
+export function previewAutoLevel(fromWeek = currentIsoWeek()) {
+  return planAutoLevel(store.tickets, store.capacity, fromWeek)
+}
+
+// Applies a preview from previewAutoLevel() as one batch and one undo step
+export function applyAutoLevel(moves) {
+  return recordHistory(`Planning gespreid (${moves.length} tickets)`, () => {
+    const targets = new Map(moves.map(m => [m.id, m.to]))
+    applyBulkChanges([...targets.keys()], t => ({ plannedWeek: targets.get(t.id) }))
+  })
+}
+
 // --- Export / Import / Reset ---
 
 export function exportData() {
@@ -734,43 +2315,275 @@ export function exportData() {
   a.download = `gerustthuis-admin-${new Date().toISOString().split('T')[0]}.json`
   a.click()
   URL.revokeObjectURL(url)
+  audit('project.export', { type: 'project', id: projectUuid, label: store.project.name })
+}
+
+// Parses, validates and diffs an import file against the current project
+// without writing anything. `diff` is null when there are errors.
+export function previewImport(jsonString, mode = 'replace') {
+  let raw
+  try {
+    raw = JSON.parse(jsonString)
+  } catch {
+    return { errors: ['Bestand is geen geldige JSON'], diff: null, data: null }
+  }
+  const { errors, data } = validateImportData(raw)
+  if (errors.length > 0) return { errors, diff: null, data: null }
+  return { errors: [], diff: diffImport(store, data, mode), data }
 }
 
-export async function importData(jsonString) {
+// Applies an import as a series of writes, each paired with its inverse.
+// Supabase has no client-side transactions, so when a write fails the
+// completed ones are reverted in reverse order. Matched rows keep their
+// UUIDs. Throws on failure; resolves with the applied diff.
+export async function importData(jsonString, { mode = 'replace' } = {}) {
+  if (!can('edit')) throw new Error('Geen rechten om te wijzigen')
+  const { errors, diff, data } = previewImport(jsonString, mode)
+  if (errors.length > 0) throw new Error(`Ongeldig importbestand: ${errors[0]}`)
+  if (!projectUuid) throw new Error('Geen project geladen')
+
+  await flushQueue()
+  if (writeQueue.items.length > 0) {
+    throw new Error('Er staan nog niet-opgeslagen wijzigingen; verstuur of verwijder die eerst')
+  }
+
+  const [serverPhases, serverTickets] = await Promise.all([
+    api.fetchPhases(projectUuid),
+    api.fetchTickets(projectUuid)
+  ])
+  const steps = buildImportSteps(diff, data, mode, serverPhases, serverTickets)
+
+  const done = []
   try {
-    const data = JSON.parse(jsonString)
-    if (data.project && data.phases) {
-      // Delete current project (cascades all child data)
-      if (projectUuid) {
-        await supabase.from('projects').delete().eq('id', projectUuid)
+    for (const step of steps) {
+      await step.run()
+      done.push(step)
+    }
+  } catch (e) {
+    console.error('Import failed, rolling back:', e)
+    let rollbackFailures = 0
+    for (const step of done.reverse()) {
+      try {
+        await step.revert()
+      } catch (re) {
+        console.error('Rollback step failed:', re)
+        rollbackFailures++
       }
-      // Re-seed with imported data — reuse seed logic
-      // First, map imported data to initialData format
-      const importAsInitial = {
-        project: data.project,
-        phases: data.phases,
-        tickets: data.tickets || [],
-        nextTicketNumber: data.nextTicketNumber || 1
+    }
+    await hydrateFromSupabase(await api.fetchProject())
+    throw new Error(rollbackFailures > 0
+      ? `Import mislukt en niet volledig teruggedraaid (${rollbackFailures} stappen): ${e.message}`
+      : `Import mislukt, er is niets gewijzigd: ${e.message}`)
+  }
+
+  await hydrateFromSupabase(await api.fetchProject())
+  audit('project.import', { type: 'project', id: projectUuid, label: store.project.name }, { modus: mode })
+  return diff
+}
+
+// Comment ids in a file are UUIDs, or Date.now() values from before
+// comments had their own table; those map like in hydrateFromSupabase
+function importedCommentRows(ticketUuid, comments) {
+  const isUuid = id => typeof id === 'string' && UUID_PATTERN.test(id)
+  return comments.map((c, i) => commentToDbRow(ticketUuid, {
+    ...c,
+    id: isUuid(c.id) ? c.id : legacyCommentUuid(ticketUuid, c.id, i),
+    parentId: isUuid(c.parentId) ? c.parentId : null,
+    createdAt: c.createdAt || new Date().toISOString()
+  }))
+}
+
+function buildImportSteps(diff, data, mode, serverPhases, serverTickets) {
+  const steps = []
+  const step = (run, revert) => steps.push({ run, revert })
+  // Inverse of an update: the same columns with their server values
+  const original = (row, updates) => Object.fromEntries(Object.keys(updates).map(k => [k, row[k]]))
+  // Nested selects are not columns
+  const phaseColumns = ({ phase_criteria, phase_purchases, ...row }) => row
+  const ticketRowColumns = ({ ticket_time_entries, ticket_comments, ...row }) => row
+
+  const phaseRows = new Map(serverPhases.map(p => [p.phase_number, p]))
+  const ticketRows = new Map(serverTickets.map(t => [t.ticket_number, t]))
+
+  // New rows get client UUIDs so links resolve in a single pass
+  const phaseUuids = new Map(serverPhases.map(p => [p.phase_number, p.id]))
+  diff.phases.added.forEach(c => phaseUuids.set(c.key, crypto.randomUUID()))
+  const ticketUuids = new Map(serverTickets.map(t => [t.ticket_number, t.id]))
+  diff.tickets.added.forEach(c => ticketUuids.set(c.key, crypto.randomUUID()))
+
+  const ticketColumns = ({ ticketNumber, phaseId, dependsOn, blockedBy, ...fields }) => ({
+    ...mapTicketUpdatesToDb(fields),
+    ticket_number: ticketNumber,
+    phase_id: phaseUuids.get(phaseId) || null,
+    depends_on: dependsOn.map(n => ticketUuids.get(n)),
+    blocked_by: blockedBy.map(n => ticketUuids.get(n))
+  })
+
+  // Phases
+  diff.phases.added.forEach(({ incoming: p }) => {
+    const id = phaseUuids.get(p.id)
+    step(
+      () => api.createPhases([{ id, project_id: projectUuid, phase_number: p.id, ...mapPhaseUpdatesToDb(p) }]),
+      () => api.deletePhase(id)
+    )
+  })
+  diff.phases.changed.forEach(({ incoming: p, fields }) => {
+    const row = phaseRows.get(p.id)
+    const updates = mapPhaseUpdatesToDb(pick(p, fields.filter(f => f !== 'purchases')))
+    // Decisions are history: merge adds the file's to the recorded ones
+    if (mode === 'merge' && updates.go_no_go_decisions) {
+      const recorded = row.go_no_go_decisions || []
+      // Decisions from before ids were added are matched on their date
+      const recordedKeys = new Set(recorded.map(d => d.id || d.date))
+      updates.go_no_go_decisions = [...recorded, ...p.goNoGoDecisions.filter(d => !recordedKeys.has(d.id || d.date))]
+        .sort((a, b) => a.date.localeCompare(b.date))
+      updates.go_no_go_decision = updates.go_no_go_decisions.at(-1) || null
+    }
+    if (Object.keys(updates).length === 0) return
+    step(() => api.updatePhase(row.id, updates), () => api.updatePhase(row.id, original(row, updates)))
+  })
+
+  // Criteria
+  diff.criteria.added.forEach(({ phaseId, incoming: c }) => {
+    const id = crypto.randomUUID()
+    step(
+      () => api.createCriteria([{ id, phase_id: phaseUuids.get(phaseId), criterion_key: c.id, description: c.description, completed: c.completed, position: c.position, ...criterionMetricToDb(c.metric) }]),
+      () => api.deleteCriterion(id)
+    )
+  })
+  diff.criteria.changed.forEach(({ phaseId, incoming: c }) => {
+    const row = phaseRows.get(phaseId).phase_criteria.find(r => r.criterion_key === c.id)
+    const updates = { description: c.description, completed: c.completed, position: c.position, ...criterionMetricToDb(c.metric) }
+    step(() => api.updateCriterion(row.id, updates), () => api.updateCriterion(row.id, original(row, updates)))
+  })
+
+  // Purchases of added and changed phases
+  const serverPurchaseKey = pp => purchaseKey({ description: pp.description, amount: pp.amount, date: pp.purchase_date })
+  ;[...diff.phases.added, ...diff.phases.changed.filter(c => c.fields.includes('purchases'))].forEach(({ incoming: p }) => {
+    const existing = phaseRows.get(p.id)?.phase_purchases || []
+    const existingKeys = new Set(existing.map(serverPurchaseKey))
+    const incomingKeys = new Set(p.purchases.map(purchaseKey))
+
+    p.purchases.filter(pp => !existingKeys.has(purchaseKey(pp))).forEach(pp => {
+      const id = crypto.randomUUID()
+      step(
+        () => api.createPurchase({ id, phase_id: phaseUuids.get(p.id), ...mapPurchaseUpdatesToDb(pp) }),
+        () => api.deletePurchase(id)
+      )
+    })
+    if (mode === 'replace') {
+      existing.filter(pp => !incomingKeys.has(serverPurchaseKey(pp))).forEach(pp => {
+        step(() => api.deletePurchase(pp.id), () => api.createPurchase(pp))
+      })
+    }
+  })
+
+  // Tickets
+  diff.tickets.added.forEach(({ incoming: t }) => {
+    const id = ticketUuids.get(t.ticketNumber)
+    step(
+      () => api.createTicket({ id, project_id: projectUuid, ...ticketColumns(t) }),
+      () => api.deleteTicket(id)
+    )
+  })
+  diff.tickets.changed.forEach(({ incoming: t }) => {
+    const row = ticketRows.get(t.ticketNumber)
+    const updates = ticketColumns(t)
+    step(() => api.updateTicket(row.id, updates), () => api.updateTicket(row.id, original(row, updates)))
+  })
+
+  // Comments of added and changed tickets; merge only adds and edits
+  ;[...diff.tickets.added, ...diff.tickets.changed.filter(c => c.fields.includes('comments'))].forEach(({ incoming: t }) => {
+    const existing = ticketRows.get(t.ticketNumber)?.ticket_comments || []
+    const existingById = new Map(existing.map(c => [c.id, c]))
+    const rows = importedCommentRows(ticketUuids.get(t.ticketNumber), t.comments)
+    const incomingIds = new Set(rows.map(r => r.id))
+
+    rows.forEach(row => {
+      const current = existingById.get(row.id)
+      if (!current) {
+        step(() => api.createComment(row), () => api.deleteComment(row.id))
+      } else if (current.text !== row.text) {
+        step(
+          () => api.updateComment(row.id, { text: row.text, edited_at: row.edited_at }),
+          () => api.updateComment(row.id, { text: current.text, edited_at: current.edited_at })
+        )
       }
-      // Temporarily replace initialData reference
-      const origPhases = initialData.phases
-      const origTickets = initialData.tickets
-      const origProject = initialData.project
-      const origNext = initialData.nextTicketNumber
-      Object.assign(initialData, importAsInitial)
-      await seedFromInitialData()
-      // Restore (in case someone resets later)
-      initialData.phases = origPhases
-      initialData.tickets = origTickets
-      initialData.project = origProject
-      initialData.nextTicketNumber = origNext
-      return true
+    })
+    if (mode === 'replace') {
+      existing.filter(c => !incomingIds.has(c.id)).reverse().forEach(c => {
+        step(() => api.deleteComment(c.id), () => api.createComment(c))
+      })
     }
-  } catch (e) {
-    console.error('Failed to import data:', e)
-    store.error = 'Import mislukt'
+  })
+
+  diff.tickets.removed.forEach(({ key }) => {
+    const row = ticketRows.get(key)
+    ;(row.ticket_time_entries || []).forEach(e => {
+      step(() => api.deleteTimeEntry(e.id), () => api.createTimeEntry(e))
+    })
+    ;[...(row.ticket_comments || [])].reverse().forEach(c => {
+      step(() => api.deleteComment(c.id), () => api.createComment(c))
+    })
+    step(() => api.deleteTicket(row.id), () => api.createTicket(ticketRowColumns(row)))
+  })
+
+  // Removals — children before their phase, so reverting recreates the
+  // phase first
+  diff.criteria.removed.forEach(({ phaseId, current: c }) => {
+    const row = phaseRows.get(phaseId).phase_criteria.find(r => r.criterion_key === c.id)
+    step(() => api.deleteCriterion(row.id), () => api.createCriteria([row]))
+  })
+  diff.phases.removed.forEach(({ key }) => {
+    const row = phaseRows.get(key)
+    row.phase_purchases.forEach(pp => {
+      step(() => api.deletePurchase(pp.id), () => api.createPurchase(pp))
+    })
+    step(() => api.deletePhase(row.id), () => api.createPhases([phaseColumns(row)]))
+  })
+
+  // Project
+  const projectUpdates = mode === 'replace'
+    ? {
+        name: data.project.name,
+        description: data.project.description,
+        total_budget: data.project.totalBudget,
+        currency: data.project.currency,
+        labels: data.labels,
+        next_ticket_number: data.nextTicketNumber,
+        ...(data.capacity && capacityToDb(data.capacity)),
+        ...(data.templates && { ticket_templates: data.templates }),
+        ...(data.exchangeRates && { exchange_rates: data.exchangeRates })
+      }
+    : {
+        labels: [...store.labels, ...data.labels.filter(l => !store.labels.some(e => e.id === l.id))],
+        next_ticket_number: Math.max(store.nextTicketNumber, data.nextTicketNumber),
+        ...(data.capacity && { capacity_exceptions: { ...store.capacity.exceptions, ...data.capacity.exceptions } }),
+        ...(data.templates && {
+          ticket_templates: [
+            ...store.templates.map(t => data.templates.find(i => i.id === t.id) || t),
+            ...data.templates.filter(i => !store.templates.some(t => t.id === i.id))
+          ]
+        }),
+        ...(data.exchangeRates && { exchange_rates: { ...store.exchangeRates, ...data.exchangeRates } })
+      }
+  const projectOriginal = {
+    name: store.project.name,
+    description: store.project.description,
+    total_budget: store.project.totalBudget,
+    currency: store.project.currency,
+    labels: store.labels,
+    next_ticket_number: store.nextTicketNumber,
+    ...capacityToDb(store.capacity),
+    ticket_templates: store.templates,
+    exchange_rates: store.exchangeRates
   }
-  return false
+  step(
+    () => api.updateProject(projectUuid, projectUpdates),
+    () => api.updateProject(projectUuid, original(projectOriginal, projectUpdates))
+  )
+
+  return steps
 }
 
 export async function resetData() {
@@ -0,0 +1,415 @@
+import { reactive } from 'vue'
+import * as api from '../services/projectService.js'
+import { insertAuditEntry } from '../services/supabase.js'
+
+// ============================================================
+// Durable outbound write queue
+// ============================================================
+//
+// Every store mutation is applied locally first and then enqueued here.
+// Items are persisted in localStorage so they survive a reload, sent in
+// order per row (a ticket update must not overtake its insert, nor a time
+// entry the ticket it belongs to) and retried with exponential backoff.
+// An item waiting for its retry doesn't hold up writes to other rows.
+// After MAX_ATTEMPTS an item is marked 'failed' and skipped, so the user
+// can retry or discard it (audit entries excepted, see KEPT_OPS); later
+// writes to the same row wait for it.
+//
+// Each signed-in user has their own queue, so writes left behind by one
+// user are never sent with the session of the next.
+//
+// Updates carry the `updated_at` they were based on as third argument.
+// When the server row moved on, the item becomes a 'conflict' holding the
+// current server row until the user resolves it.
+
+const STORAGE_KEY = 'gerustthuis-admin:write-queue'
+const MAX_ATTEMPTS = 5
+const BASE_DELAY_MS = 2000
+const MAX_DELAY_MS = 60000
+
+// Operations must be serialisable, so items reference a handler by name
+const handlers = {
+  updateProject: api.updateProject,
+  createPhase: api.createPhase,
+  updatePhase: api.updatePhase,
+  deletePhase: api.deletePhase,
+  createCriterion: api.createCriterion,
+  updateCriterion: api.updateCriterion,
+  deleteCriterion: api.deleteCriterion,
+  createPurchase: api.createPurchase,
+  updatePurchase: api.updatePurchase,
+  deletePurchase: api.deletePurchase,
+  createTicket: api.createTicket,
+  updateTicket: api.updateTicket,
+  deleteTicket: api.deleteTicket,
+  bulkUpdateTickets: api.bulkUpdateTickets,
+  deleteTickets: api.deleteTickets,
+  createTimeEntry: api.createTimeEntry,
+  updateTimeEntry: api.updateTimeEntry,
+  deleteTimeEntry: api.deleteTimeEntry,
+  createComment: api.createComment,
+  updateComment: api.updateComment,
+  deleteComment: api.deleteComment,
+  createActivity: api.createActivity,
+  insertAuditEntry
+}
+
+// Inserts carry a client-generated UUID; a retry after a lost response
+// hits the primary key, which means the first attempt already landed.
+const INSERT_OPS = new Set(['createPhase', 'createCriterion', 'createPurchase', 'createTicket', 'createTimeEntry', 'createComment', 'createActivity', 'insertAuditEntry'])
+
+const VERSIONED_OPS = new Set(['updatePhase', 'updateCriterion', 'updateTicket'])
+
+// Updates that resolve with the updated row; null means the row wasn't there
+const ROW_UPDATE_OPS = new Set([...VERSIONED_OPS, 'updateTimeEntry', 'updateComment'])
+
+// Audit entries record what the user looked at, so they can't be thrown
+// away from the sync panel; they keep retrying instead of failing.
+const KEPT_OPS = new Set(['insertAuditEntry'])
+
+export const writeQueue = reactive({
+  items: [],
+  processing: false
+})
+
+let queueUser = null
+let runPromise = null
+let retryTimer = null
+const listeners = new Set()
+
+function storageKey(user) {
+  return `${STORAGE_KEY}:${user}`
+}
+
+// A queue saved before queues were per user goes to the first user who
+// signs in on this browser
+function loadItems(user) {
+  if (!user) return []
+  try {
+    let raw = localStorage.getItem(storageKey(user))
+    if (raw === null && (raw = localStorage.getItem(STORAGE_KEY)) !== null) {
+      localStorage.setItem(storageKey(user), raw)
+      localStorage.removeItem(STORAGE_KEY)
+    }
+    const items = raw ? JSON.parse(raw) : []
+    return Array.isArray(items) ? items.filter(i => handlers[i.op]) : []
+  } catch {
+    return []
+  }
+}
+
+function saveItems(user = queueUser, items = writeQueue.items) {
+  if (!user) return
+  try {
+    localStorage.setItem(storageKey(user), JSON.stringify(items))
+  } catch (e) {
+    console.error('Failed to save write queue:', e)
+  }
+}
+
+function createItem(op, args, label) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    op,
+    args,
+    label: label || op,
+    status: 'pending',
+    attempts: 0,
+    error: null,
+    nextAttemptAt: 0,
+    createdAt: new Date().toISOString()
+  }
+}
+
+function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS)
+}
+
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false
+}
+
+function emit(type, item, payload) {
+  listeners.forEach(fn => fn(type, item, payload))
+}
+
+function removeItem(id) {
+  writeQueue.items = writeQueue.items.filter(i => i.id !== id)
+  saveItems()
+}
+
+function scheduleRetry(at) {
+  clearTimeout(retryTimer)
+  retryTimer = setTimeout(() => processQueue(), Math.max(0, at - Date.now()))
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Switch to the queue of the signed-in user; null on logout. That user's
+ * unsent writes are loaded and sent.
+ *
+ * @param {string|null} email - Signed-in user's e-mail address
+ */
+export function setQueueUser(email) {
+  if (email === queueUser) return
+  clearTimeout(retryTimer)
+  queueUser = email
+  writeQueue.items = loadItems(email)
+  if (email) processQueue()
+}
+
+export function enqueue(op, args, label) {
+  if (!handlers[op]) throw new Error(`Onbekende queue-operatie: ${op}`)
+  writeQueue.items.push(createItem(op, args, label))
+  saveItems()
+  processQueue()
+}
+
+export function getPendingCount() {
+  return writeQueue.items.filter(i => i.status === 'pending').length
+}
+
+export function getFailedCount() {
+  return writeQueue.items.filter(i => i.status === 'failed').length
+}
+
+export function getConflictCount() {
+  return writeQueue.items.filter(i => i.status === 'conflict').length
+}
+
+export function getConflictItem(op, uuid) {
+  return writeQueue.items.find(i => i.status === 'conflict' && i.op === op && i.args[0] === uuid) || null
+}
+
+// Listener receives (type, item, payload) for 'success' (payload: the
+// handler's result), 'conflict' and 'discard'. Returns an unsubscribe.
+export function onQueueEvent(fn) {
+  listeners.add(fn)
+  return () => listeners.delete(fn)
+}
+
+// True while an unsent write targets the row, so realtime echoes of an
+// older server state don't overwrite the newer local one
+export function hasPendingWrite(uuid) {
+  return writeQueue.items.some(i => targetsRow(i, uuid))
+}
+
+// First argument is a UUID, an insert row, or for bulk operations a list
+// of either UUIDs or { uuid, ...columns }
+function targetsRow(item, uuid) {
+  const target = item.args[0]
+  if (Array.isArray(target)) return target.some(t => t === uuid || t?.uuid === uuid)
+  return target === uuid || target?.id === uuid
+}
+
+// Retrying a conflict drops the version check: the local change
+// overwrites whatever is on the server now.
+export function retryItem(id) {
+  const item = writeQueue.items.find(i => i.id === id)
+  if (!item) return
+  if (item.status === 'conflict') {
+    item.args[2] = null
+    item.conflict = null
+    item.error = null
+  }
+  item.status = 'pending'
+  item.attempts = 0
+  item.nextAttemptAt = 0
+  saveItems()
+  processQueue()
+}
+
+export function retryAllFailed() {
+  writeQueue.items.forEach(item => {
+    if (item.status === 'failed') {
+      item.status = 'pending'
+      item.attempts = 0
+      item.nextAttemptAt = 0
+    }
+  })
+  saveItems()
+  processQueue()
+}
+
+/**
+ * @param {Object} item - Queue item
+ * @returns {boolean} - False for items that must reach the server
+ */
+export function canDiscard(item) {
+  return !KEPT_OPS.has(item.op)
+}
+
+export function discardItem(id) {
+  const item = writeQueue.items.find(i => i.id === id)
+  if (!item || !canDiscard(item)) return
+  removeItem(id)
+  emit('discard', item)
+}
+
+// Try every pending item now, ignoring backoff. Resolves when the queue
+// is idle again; never throws.
+export async function flushQueue() {
+  writeQueue.items.forEach(item => {
+    if (item.status === 'pending') item.nextAttemptAt = 0
+  })
+  if (runPromise) await runPromise
+  await processQueue()
+}
+
+// ============================================================
+// Processing
+// ============================================================
+
+function processQueue() {
+  if (runPromise) return runPromise
+  runPromise = run().finally(() => {
+    runPromise = null
+    writeQueue.processing = false
+  })
+  return runPromise
+}
+
+// Rows an item writes, plus for inserts the rows they reference. The
+// first argument is a UUID, an insert row, or for bulk operations a list
+// of UUIDs, insert rows or { uuid, ...columns }.
+function rowKeys(item) {
+  const target = item.args[0]
+  return (Array.isArray(target) ? target : [target]).flatMap(t => {
+    if (!t || typeof t !== 'object') return t ? [t] : []
+    return [t.uuid ?? t.id, t.phase_id, t.ticket_id, t.parent_id].filter(Boolean)
+  })
+}
+
+// The first pending item that is due and has no earlier item for any of
+// its rows still in the queue. Without one, `wakeAt` is when the first
+// item in backoff becomes due.
+function nextReadyItem(now) {
+  const busy = new Set()
+  let wakeAt = Infinity
+  for (const item of writeQueue.items) {
+    const keys = rowKeys(item)
+    if (item.status === 'pending' && !keys.some(key => busy.has(key))) {
+      if (item.nextAttemptAt <= now) return { item }
+      wakeAt = Math.min(wakeAt, item.nextAttemptAt)
+    }
+    keys.forEach(key => busy.add(key))
+  }
+  return { item: null, wakeAt }
+}
+
+// Drops a sent item from the queue of a user who has since logged out
+function forgetSentItem(user, id) {
+  saveItems(user, loadItems(user).filter(i => i.id !== id))
+}
+
+async function run() {
+  writeQueue.processing = true
+  clearTimeout(retryTimer)
+
+  while (true) {
+    const owner = queueUser
+    if (!owner) return
+    if (isOffline()) return // resumed by the 'online' listener
+    const { item, wakeAt } = nextReadyItem(Date.now())
+    if (!item) {
+      if (wakeAt < Infinity) scheduleRetry(wakeAt)
+      return
+    }
+
+    try {
+      const result = await handlers[item.op](...item.args)
+      if (ROW_UPDATE_OPS.has(item.op) && !result) throw new Error('Niet (meer) gevonden op de server')
+      if (queueUser !== owner) {
+        forgetSentItem(owner, item.id)
+        continue
+      }
+      removeItem(item.id)
+      if (VERSIONED_OPS.has(item.op) && result?.updated_at) {
+        chainVersion(item.op, item.args[0], result.updated_at)
+      }
+      if (item.op === 'bulkUpdateTickets') {
+        result.forEach(row => chainVersion('updateTicket', row.id, row.updated_at))
+      }
+      emit('success', item, result)
+    } catch (e) {
+      // Left for the next time that user signs in
+      if (queueUser !== owner) continue
+      if (INSERT_OPS.has(item.op) && e?.code === '23505') {
+        removeItem(item.id)
+        continue
+      }
+      if (e?.name === 'ConflictError') {
+        markConflict(item, e.current)
+        continue
+      }
+      if (e?.name === 'BulkConflictError') {
+        splitBulkConflict(item, e)
+        continue
+      }
+      console.error(`Failed to persist ${item.label}:`, e)
+      item.attempts++
+      item.error = e?.message || String(e)
+      if (item.attempts >= MAX_ATTEMPTS && canDiscard(item)) {
+        item.status = 'failed'
+      } else {
+        item.nextAttemptAt = Date.now() + backoffDelay(item.attempts)
+      }
+      saveItems()
+    }
+  }
+}
+
+// Later updates of the same row were based on the version this write just
+// replaced; move them onto the new one so they don't conflict with us.
+// Bulk ticket updates carry a version per row.
+function chainVersion(op, uuid, updatedAt) {
+  writeQueue.items.forEach(other => {
+    if (other.op === op && other.args[0] === uuid && other.args[2]) {
+      other.args[2] = updatedAt
+    }
+    if (op === 'updateTicket' && other.op === 'bulkUpdateTickets') {
+      other.args[0].forEach(row => {
+        if (row.uuid === uuid && row.expectedUpdatedAt) row.expectedUpdatedAt = updatedAt
+      })
+    }
+  })
+  saveItems()
+}
+
+// The rows of a bulk update that were written count as its success. Each
+// rejected row takes the bulk item's place as a single ticket update in
+// conflict, so it is resolved like any other edit of that ticket.
+function splitBulkConflict(item, error) {
+  const singles = error.conflicts.map(c =>
+    createItem('updateTicket', [c.uuid, c.columns, c.expectedUpdatedAt], `Ticket ${c.current.ticket_number} bijwerken`)
+  )
+  writeQueue.items.splice(writeQueue.items.indexOf(item), 1, ...singles)
+  saveItems()
+  error.updated.forEach(row => chainVersion('updateTicket', row.id, row.updated_at))
+  emit('success', item, error.updated)
+  singles.forEach((single, i) => markConflict(single, error.conflicts[i].current))
+}
+
+// Folds later pending updates of the same row into the conflicting item,
+// so the user resolves one conflict per row.
+function markConflict(item, current) {
+  const later = writeQueue.items.filter(other =>
+    other !== item && other.status === 'pending' &&
+    other.op === item.op && other.args[0] === item.args[0]
+  )
+  later.forEach(other => Object.assign(item.args[1], other.args[1]))
+  writeQueue.items = writeQueue.items.filter(other => !later.includes(other))
+
+  item.status = 'conflict'
+  item.conflict = current
+  item.error = 'Gewijzigd in een andere sessie'
+  saveItems()
+  emit('conflict', item)
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => flushQueue())
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+vi.mock('../services/projectService.js', async importOriginal => {
+  const actual = await importOriginal()
+  return Object.fromEntries(Object.keys(actual).map(name => [name, vi.fn()]))
+})
+vi.mock('../services/supabase.js', () => ({ insertAuditEntry: vi.fn() }))
+
+import * as api from '../services/projectService.js'
+import { writeQueue, setQueueUser, enqueue } from './writeQueue.js'
+
+const storage = new Map()
+vi.stubGlobal('localStorage', {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+})
+
+function item(op, args, extra = {}) {
+  return { id: `${op}-${args[0]?.id || args[0]}`, op, args, label: op, status: 'pending', attempts: 0, error: null, nextAttemptAt: 0, createdAt: '', ...extra }
+}
+
+// Loads a saved queue for a fresh user and waits until it has been sent
+async function runQueue(items) {
+  const user = `${crypto.randomUUID()}@voorbeeld.nl`
+  storage.set(`gerustthuis-admin:write-queue:${user}`, JSON.stringify(items))
+  setQueueUser(user)
+  await vi.waitFor(() => expect(writeQueue.processing).toBe(false))
+  return user
+}
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  api.updateProject.mockResolvedValue()
+  api.updateTicket.mockResolvedValue({ id: 't1', updated_at: '2026-10-19T10:00:00Z' })
+  api.createTimeEntry.mockResolvedValue({})
+})
+
+afterEach(() => setQueueUser(null))
+
+describe('write queue', () => {
+  it('holds writes to a row whose insert failed', async () => {
+    await runQueue([
+      item('createTicket', [{ id: 't1' }], { status: 'failed' }),
+      item('updateTicket', ['t1', { title: 'x' }, null]),
+      item('createTimeEntry', [{ id: 'e1', ticket_id: 't1' }]),
+      item('updateProject', ['p1', { name: 'x' }])
+    ])
+
+    expect(api.updateProject).toHaveBeenCalled()
+    expect(api.updateTicket).not.toHaveBeenCalled()
+    expect(api.createTimeEntry).not.toHaveBeenCalled()
+    expect(writeQueue.items.map(i => i.op)).toEqual(['createTicket', 'updateTicket', 'createTimeEntry'])
+  })
+
+  it('sends writes to other rows while an item waits for its retry', async () => {
+    await runQueue([
+      item('updateTicket', ['t1', { title: 'x' }, null], { attempts: 1, nextAttemptAt: Date.now() + 60000 }),
+      item('updateTicket', ['t1', { title: 'y' }, null]),
+      item('updateProject', ['p1', { name: 'x' }])
+    ])
+
+    expect(api.updateProject).toHaveBeenCalled()
+    expect(api.updateTicket).not.toHaveBeenCalled()
+    expect(writeQueue.items).toHaveLength(2)
+  })
+
+  it('treats an update that found no row as an error', async () => {
+    api.updateTicket.mockResolvedValue(null)
+    await runQueue([item('updateTicket', ['t1', { title: 'x' }, null])])
+
+    expect(writeQueue.items).toHaveLength(1)
+    expect(writeQueue.items[0].attempts).toBe(1)
+    expect(writeQueue.items[0].error).toBeTruthy()
+  })
+
+  it('keeps a queue per user', async () => {
+    api.updateProject.mockReturnValue(new Promise(() => {}))
+    const first = await runQueue([])
+    enqueue('updateProject', ['p1', { name: 'x' }], 'Project bijwerken')
+
+    setQueueUser('ander@voorbeeld.nl')
+    expect(writeQueue.items).toEqual([])
+
+    setQueueUser(first)
+    expect(writeQueue.items.map(i => i.op)).toEqual(['updateProject'])
+  })
+})
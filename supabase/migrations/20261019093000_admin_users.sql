@@ -0,0 +1,46 @@
+-- ============================================================
+-- Admin users and roles (planning.admin_users)
+-- ============================================================
+--
+-- Replaces the hard-coded e-mail list in the portal. Signing in requires
+-- a row here, so the existing admin is seeded as owner; further users are
+-- added on the Instellingen page.
+
+create table if not exists planning.admin_users (
+  email text primary key check (email = lower(email)),
+  role text not null check (role in ('owner', 'editor', 'viewer', 'support')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Role of the signed-in user; security definer so policies on
+-- admin_users can use it without recursing into themselves
+create or replace function planning.admin_role()
+returns text
+language sql
+stable
+security definer
+set search_path = planning
+as $$
+  select role from planning.admin_users where email = lower(auth.jwt() ->> 'email')
+$$;
+
+alter table planning.admin_users enable row level security;
+
+drop policy if exists "admin_users: read own row or as owner" on planning.admin_users;
+create policy "admin_users: read own row or as owner"
+  on planning.admin_users for select
+  to authenticated
+  using (email = lower(auth.jwt() ->> 'email') or planning.admin_role() = 'owner');
+
+drop policy if exists "admin_users: owners manage" on planning.admin_users;
+create policy "admin_users: owners manage"
+  on planning.admin_users for all
+  to authenticated
+  using (planning.admin_role() = 'owner')
+  with check (planning.admin_role() = 'owner');
+
+-- Bootstrap: the address that had access before roles existed
+insert into planning.admin_users (email, role)
+values ('dirk.bakker@gmx.net', 'owner')
+on conflict (email) do nothing;
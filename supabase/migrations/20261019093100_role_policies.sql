@@ -0,0 +1,107 @@
+-- ============================================================
+-- Row level security per role
+-- ============================================================
+--
+-- The same permission matrix as PERMISSIONS in src/stores/accessStore.js,
+-- so a role can't do more through the API than the portal shows. Keep
+-- both in sync when a role changes.
+--
+-- Roadmap tables: reading needs 'roadmap', writing needs 'edit'. Their
+-- earlier policies are dropped, since any permissive policy left behind
+-- would widen access again.
+--
+-- Household, activity and waitlist tables belong to the app and already
+-- have row level security for residents; the policies below only add
+-- read access for admin roles.
+
+create or replace function planning.admin_can(permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = planning
+as $$
+  select coalesce(permission = any (
+    case planning.admin_role()
+      when 'owner' then array['roadmap', 'edit', 'waitlist', 'marketing', 'households', 'analyse', 'users', 'audit']
+      when 'editor' then array['roadmap', 'edit', 'waitlist', 'marketing', 'households', 'analyse']
+      when 'viewer' then array['roadmap', 'waitlist', 'marketing', 'households', 'analyse']
+      when 'support' then array['waitlist', 'households', 'analyse']
+    end
+  ), false)
+$$;
+
+-- ------------------------------------------------------------
+-- Roadmap: the shared project, its phases, criteria, purchases and tickets
+-- ------------------------------------------------------------
+
+do $$
+declare
+  t text;
+  old record;
+begin
+  foreach t in array array[
+    'public.projects',
+    'planning.project_phases',
+    'planning.phase_criteria',
+    'planning.phase_purchases',
+    'planning.project_tickets'
+  ] loop
+    execute format('alter table %s enable row level security', t);
+
+    for old in
+      select policyname from pg_policies
+      where schemaname || '.' || tablename = t
+    loop
+      execute format('drop policy %I on %s', old.policyname, t);
+    end loop;
+
+    execute format('create policy "roadmap: read" on %s for select to authenticated using (planning.admin_can(''roadmap''))', t);
+    execute format('create policy "roadmap: insert" on %s for insert to authenticated with check (planning.admin_can(''edit''))', t);
+    execute format('create policy "roadmap: update" on %s for update to authenticated using (planning.admin_can(''edit'')) with check (planning.admin_can(''edit''))', t);
+    execute format('create policy "roadmap: delete" on %s for delete to authenticated using (planning.admin_can(''edit''))', t);
+  end loop;
+end $$;
+
+-- ------------------------------------------------------------
+-- App data: read-only for the roles that see it in the portal
+-- ------------------------------------------------------------
+
+-- Households page (and the household picker on the analysis page)
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'public.households',
+    'public.household_members',
+    'public.household_invitations',
+    'public.user_profiles',
+    'integrations.hue_config',
+    'activity.room_activity_hourly'
+  ] loop
+    execute format('drop policy if exists "admin: read households" on %s', t);
+    execute format('create policy "admin: read households" on %s for select to authenticated using (planning.admin_can(''households'') or planning.admin_can(''analyse''))', t);
+  end loop;
+end $$;
+
+-- Analysis page
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'activity.daily_activity_stats',
+    'integrations.hue_devices'
+  ] loop
+    execute format('drop policy if exists "admin: read analyse" on %s', t);
+    execute format('create policy "admin: read analyse" on %s for select to authenticated using (planning.admin_can(''analyse''))', t);
+  end loop;
+end $$;
+
+-- Waitlist page and the waitlist metric of go/no-go criteria
+drop policy if exists "admin: read waitlist" on public.waitlist;
+create policy "admin: read waitlist"
+  on public.waitlist for select
+  to authenticated
+  using (planning.admin_can('waitlist'));
@@ -0,0 +1,58 @@
+-- ============================================================
+-- Audit log (planning.audit_log)
+-- ============================================================
+--
+-- Who looked at, changed or exported personal data. The portal only
+-- sends what was accessed; who and when are filled in here from the
+-- session and the database clock, so an entry can't be attributed to
+-- someone else or backdated. Entries can't be changed or deleted
+-- through the API.
+
+create table if not exists planning.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  user_id uuid default auth.uid(),
+  user_email text default lower(auth.jwt() ->> 'email'),
+  action text not null,
+  target_type text,
+  target_id text,
+  target_label text,
+  details jsonb
+);
+
+create index if not exists audit_log_created_at_idx on planning.audit_log (created_at desc);
+create index if not exists audit_log_user_email_idx on planning.audit_log (user_email);
+
+-- Defaults can be overridden by the client; this can't
+create or replace function planning.stamp_audit_entry()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.created_at := now();
+  new.user_id := auth.uid();
+  new.user_email := lower(auth.jwt() ->> 'email');
+  return new;
+end;
+$$;
+
+drop trigger if exists stamp_audit_entry on planning.audit_log;
+create trigger stamp_audit_entry
+  before insert on planning.audit_log
+  for each row execute function planning.stamp_audit_entry();
+
+alter table planning.audit_log enable row level security;
+
+drop policy if exists "audit_log: admins insert" on planning.audit_log;
+create policy "audit_log: admins insert"
+  on planning.audit_log for insert
+  to authenticated
+  with check (planning.admin_role() is not null);
+
+drop policy if exists "audit_log: read with audit permission" on planning.audit_log;
+create policy "audit_log: read with audit permission"
+  on planning.audit_log for select
+  to authenticated
+  using (planning.admin_can('audit'));
+
+-- No update or delete policies: the log is append-only
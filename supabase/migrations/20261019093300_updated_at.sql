@@ -0,0 +1,35 @@
+-- ============================================================
+-- Row versions (updated_at)
+-- ============================================================
+--
+-- Edits of phases, criteria and tickets only apply when `updated_at`
+-- still matches the version the edit was based on (see versionedUpdate in
+-- src/services/projectService.js). That only works if every write moves
+-- it on, so it is set here rather than by the client.
+
+create or replace function planning.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'planning.project_phases',
+    'planning.phase_criteria',
+    'planning.phase_purchases',
+    'planning.project_tickets',
+    'planning.admin_users'
+  ] loop
+    execute format('alter table %s add column if not exists updated_at timestamptz not null default now()', t);
+    execute format('drop trigger if exists set_updated_at on %s', t);
+    execute format('create trigger set_updated_at before update on %s for each row execute function planning.set_updated_at()', t);
+  end loop;
+end $$;
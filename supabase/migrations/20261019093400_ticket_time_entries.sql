@@ -0,0 +1,64 @@
+-- ============================================================
+-- Time tracking (planning.ticket_time_entries)
+-- ============================================================
+--
+-- Hours booked on a ticket: manual entries have a date and hours, timer
+-- entries also started_at and (once stopped) ended_at. Like the other
+-- children of the roadmap, entries are deleted by the portal before
+-- their ticket; only deleting the whole project cascades.
+
+create table if not exists planning.ticket_time_entries (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  ticket_id uuid not null references planning.project_tickets (id),
+  entry_date date not null,
+  hours numeric(6, 2) not null default 0 check (hours >= 0),
+  note text,
+  started_at timestamptz,
+  ended_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists ticket_time_entries_ticket_idx on planning.ticket_time_entries (ticket_id);
+create index if not exists ticket_time_entries_project_idx on planning.ticket_time_entries (project_id);
+
+drop trigger if exists set_updated_at on planning.ticket_time_entries;
+create trigger set_updated_at
+  before update on planning.ticket_time_entries
+  for each row execute function planning.set_updated_at();
+
+alter table planning.ticket_time_entries enable row level security;
+
+drop policy if exists "roadmap: read" on planning.ticket_time_entries;
+create policy "roadmap: read"
+  on planning.ticket_time_entries for select
+  to authenticated
+  using (planning.admin_can('roadmap'));
+
+drop policy if exists "roadmap: insert" on planning.ticket_time_entries;
+create policy "roadmap: insert"
+  on planning.ticket_time_entries for insert
+  to authenticated
+  with check (planning.admin_can('edit'));
+
+drop policy if exists "roadmap: update" on planning.ticket_time_entries;
+create policy "roadmap: update"
+  on planning.ticket_time_entries for update
+  to authenticated
+  using (planning.admin_can('edit'))
+  with check (planning.admin_can('edit'));
+
+drop policy if exists "roadmap: delete" on planning.ticket_time_entries;
+create policy "roadmap: delete"
+  on planning.ticket_time_entries for delete
+  to authenticated
+  using (planning.admin_can('edit'));
+
+-- Other tabs and users follow running timers
+do $$
+begin
+  alter publication supabase_realtime add table planning.ticket_time_entries;
+exception
+  when duplicate_object then null;
+end $$;
@@ -0,0 +1,39 @@
+-- ============================================================
+-- Ticket activity (planning.ticket_activity)
+-- ============================================================
+--
+-- Who changed which ticket field from what to what. Append-only: there
+-- are no update or delete policies. ticket_id has no foreign key, so the
+-- history of a deleted ticket stays readable (ticket_number is kept on
+-- every entry for that reason).
+
+create table if not exists planning.ticket_activity (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  ticket_id uuid,
+  ticket_number text,
+  action text not null,
+  field text,
+  old_value jsonb,
+  new_value jsonb,
+  user_email text default lower(auth.jwt() ->> 'email'),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_activity_project_created_idx on planning.ticket_activity (project_id, created_at desc);
+create index if not exists ticket_activity_ticket_idx on planning.ticket_activity (ticket_id, created_at);
+
+alter table planning.ticket_activity enable row level security;
+
+drop policy if exists "roadmap: read" on planning.ticket_activity;
+create policy "roadmap: read"
+  on planning.ticket_activity for select
+  to authenticated
+  using (planning.admin_can('roadmap'));
+
+-- Editors log their own changes only
+drop policy if exists "roadmap: insert own" on planning.ticket_activity;
+create policy "roadmap: insert own"
+  on planning.ticket_activity for insert
+  to authenticated
+  with check (planning.admin_can('edit') and lower(user_email) = lower(auth.jwt() ->> 'email'));
@@ -0,0 +1,56 @@
+-- ============================================================
+-- Ticket comments (planning.ticket_comments)
+-- ============================================================
+--
+-- Replaces the comments array on project_tickets; the portal moves old
+-- comments over on load. Replies point to a top-level comment through
+-- parent_id. Comments are deleted by the portal before their ticket, and
+-- replies before their parent; only deleting the whole project cascades.
+
+create table if not exists planning.ticket_comments (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  ticket_id uuid not null references planning.project_tickets (id),
+  parent_id uuid references planning.ticket_comments (id),
+  author_email text,
+  text text not null,
+  created_at timestamptz not null default now(),
+  edited_at timestamptz
+);
+
+create index if not exists ticket_comments_ticket_idx on planning.ticket_comments (ticket_id);
+create index if not exists ticket_comments_project_idx on planning.ticket_comments (project_id);
+
+alter table planning.ticket_comments enable row level security;
+
+drop policy if exists "roadmap: read" on planning.ticket_comments;
+create policy "roadmap: read"
+  on planning.ticket_comments for select
+  to authenticated
+  using (planning.admin_can('roadmap'));
+
+drop policy if exists "roadmap: insert" on planning.ticket_comments;
+create policy "roadmap: insert"
+  on planning.ticket_comments for insert
+  to authenticated
+  with check (planning.admin_can('edit'));
+
+drop policy if exists "roadmap: update" on planning.ticket_comments;
+create policy "roadmap: update"
+  on planning.ticket_comments for update
+  to authenticated
+  using (planning.admin_can('edit'))
+  with check (planning.admin_can('edit'));
+
+drop policy if exists "roadmap: delete" on planning.ticket_comments;
+create policy "roadmap: delete"
+  on planning.ticket_comments for delete
+  to authenticated
+  using (planning.admin_can('edit'));
+
+do $$
+begin
+  alter publication supabase_realtime add table planning.ticket_comments;
+exception
+  when duplicate_object then null;
+end $$;
@@ -0,0 +1,33 @@
+-- ============================================================
+-- Ticket attachments (storage bucket ticket-attachments)
+-- ============================================================
+--
+-- Files live in a private bucket under <project>/<ticket>/ and, for
+-- purchase receipts, <project>/receipts/<purchase>/. The portal opens
+-- them through short-lived signed URLs. project_tickets.attachments
+-- holds the list of { id, path, name, type, size, uploadedAt } per ticket.
+
+alter table planning.project_tickets
+  add column if not exists attachments jsonb not null default '[]'::jsonb;
+
+insert into storage.buckets (id, name, public)
+values ('ticket-attachments', 'ticket-attachments', false)
+on conflict (id) do nothing;
+
+drop policy if exists "ticket-attachments: read" on storage.objects;
+create policy "ticket-attachments: read"
+  on storage.objects for select
+  to authenticated
+  using (bucket_id = 'ticket-attachments' and planning.admin_can('roadmap'));
+
+drop policy if exists "ticket-attachments: upload" on storage.objects;
+create policy "ticket-attachments: upload"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'ticket-attachments' and planning.admin_can('edit'));
+
+drop policy if exists "ticket-attachments: delete" on storage.objects;
+create policy "ticket-attachments: delete"
+  on storage.objects for delete
+  to authenticated
+  using (bucket_id = 'ticket-attachments' and planning.admin_can('edit'));
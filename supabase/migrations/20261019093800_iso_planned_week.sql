@@ -0,0 +1,10 @@
+-- ============================================================
+-- ISO planned weeks (project_tickets.planned_week)
+-- ============================================================
+--
+-- Planned weeks are stored as ISO-8601 weeks ("2026-W43") instead of a
+-- bare week number. Old numbers become text here and are converted to a
+-- year-aware week by the portal on load.
+
+alter table planning.project_tickets
+  alter column planned_week type text using planned_week::text;
@@ -0,0 +1,10 @@
+-- ============================================================
+-- Capacity planning (projects)
+-- ============================================================
+--
+-- weekly_capacity: hours available per week; null uses the portal's
+-- default. capacity_exceptions: { "2026-W52": 8, ... } for holidays.
+
+alter table public.projects
+  add column if not exists weekly_capacity numeric(6, 2) check (weekly_capacity >= 0),
+  add column if not exists capacity_exceptions jsonb not null default '{}'::jsonb;
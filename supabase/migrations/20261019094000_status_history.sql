@@ -0,0 +1,9 @@
+-- ============================================================
+-- Ticket status history (project_tickets.status_history)
+-- ============================================================
+--
+-- [{ status, at }, ...] per ticket, for burndown/burnup charts and
+-- velocity.
+
+alter table planning.project_tickets
+  add column if not exists status_history jsonb not null default '[]'::jsonb;
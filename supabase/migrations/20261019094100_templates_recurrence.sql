@@ -0,0 +1,13 @@
+-- ============================================================
+-- Ticket templates and recurring tickets
+-- ============================================================
+--
+-- projects.ticket_templates: the project's templates as a list.
+-- project_tickets.recurrence: 'weekly' or 'monthly'; a new
+-- ticket is created when a recurring one is done.
+
+alter table public.projects
+  add column if not exists ticket_templates jsonb not null default '[]'::jsonb;
+
+alter table planning.project_tickets
+  add column if not exists recurrence text;
@@ -0,0 +1,14 @@
+-- ============================================================
+-- Go/no-go decision history (project_phases.go_no_go_decisions)
+-- ============================================================
+--
+-- Every decision on a phase gate, oldest first; go_no_go_decision keeps
+-- the latest for older clients. Phases decided before the history
+-- existed start with their one decision.
+
+alter table planning.project_phases
+  add column if not exists go_no_go_decisions jsonb not null default '[]'::jsonb;
+
+update planning.project_phases
+set go_no_go_decisions = jsonb_build_array(go_no_go_decision)
+where go_no_go_decision is not null and go_no_go_decisions = '[]'::jsonb;
@@ -0,0 +1,11 @@
+-- ============================================================
+-- Measurable go/no-go criteria (phase_criteria.metric_*)
+-- ============================================================
+--
+-- A criterion linked to a live metric is met when the metric compares
+-- to the target; without metric_source it is ticked by hand.
+
+alter table planning.phase_criteria
+  add column if not exists metric_source text,
+  add column if not exists metric_comparison text check (metric_comparison in ('>=', '>', '=', '<=', '<')),
+  add column if not exists metric_target numeric;
@@ -0,0 +1,12 @@
+-- ============================================================
+-- Phase and criterion order (position)
+-- ============================================================
+--
+-- Phases and criteria can be reordered in the portal. Rows without a
+-- position sort by phase number and criterion key, as before.
+
+alter table planning.project_phases
+  add column if not exists position integer;
+
+alter table planning.phase_criteria
+  add column if not exists position integer;
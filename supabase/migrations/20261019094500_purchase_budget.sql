@@ -0,0 +1,14 @@
+-- ============================================================
+-- Budget forecasting and receipts (phase_purchases)
+-- ============================================================
+--
+-- category: 'hardware', 'ads', 'tooling' or 'services'.
+-- recurrence: 'monthly' or 'yearly' from purchase_date until end_date
+-- (open-ended without one). receipt: { path, name, type, size,
+-- uploadedAt } of the file in the ticket-attachments bucket.
+
+alter table planning.phase_purchases
+  add column if not exists category text,
+  add column if not exists recurrence text,
+  add column if not exists end_date date,
+  add column if not exists receipt jsonb;
@@ -0,0 +1,16 @@
+-- ============================================================
+-- Multi-currency purchases and VAT
+-- ============================================================
+--
+-- phase_purchases.currency: ISO code; null is the project currency.
+-- vat_rate: percentage, null when unknown. vat_included: whether amount
+-- includes VAT. projects.exchange_rates: { "USD": 0.92, ... }, the value
+-- of one unit in the project currency.
+
+alter table planning.phase_purchases
+  add column if not exists currency text check (currency ~ '^[A-Z]{3}$'),
+  add column if not exists vat_rate numeric(5, 2) check (vat_rate between 0 and 100),
+  add column if not exists vat_included boolean not null default true;
+
+alter table public.projects
+  add column if not exists exchange_rates jsonb not null default '{}'::jsonb;